@@ -1,7 +1,7 @@
 registerPlugin({
   name: "Command Library",
   description: "Library to handle and manage commands",
-  version: "1.4.4",
+  version: "1.5.0",
   author: "Multivitamin <david.kartnaller@gmail.com>",
   autorun: true,
   backends: ["ts3", "discord"],
@@ -11,19 +11,119 @@ registerPlugin({
     type: "select",
     options: ["YES", "NO"],
     default: "1"
+  }, {
+    name: "SUGGESTIONS",
+    title: "Suggest similar commands when a command or subcommand has not been found?",
+    type: "select",
+    options: ["YES", "NO"],
+    default: "0"
   }, {
     name: "DEBUGLEVEL",
     title: "Debug Messages (default is INFO)",
     type: "select",
     options: ["ERROR", "WARNING", "INFO", "VERBOSE"],
     default: "2"
+  }, {
+    name: "LANGUAGE",
+    title: "Default language of the replies (for example: en, de)",
+    type: "string",
+    default: "en"
+  }, {
+    name: "TIMEZONE",
+    title: "Timezone used to parse dates and times (for example: UTC, Europe/Vienna, +02:00)",
+    type: "string",
+    default: "UTC"
+  }, {
+    name: "ACL",
+    title: "Access rules for commands, checked in addition to the permissions of the scripts",
+    type: "array",
+    vars: [{
+      name: "commands",
+      title: "Command name pattern, * matches anything (for example: kick, admin *, *)",
+      type: "string",
+      default: ""
+    }, {
+      name: "mode",
+      title: "Allow or deny the matching clients",
+      type: "select",
+      options: ["ALLOW", "DENY"],
+      default: "0"
+    }, {
+      name: "servergroups",
+      title: "Server Group IDs",
+      type: "strings",
+      default: []
+    }, {
+      name: "uids",
+      title: "Client UIDs",
+      type: "strings",
+      default: []
+    }, {
+      name: "roles",
+      title: "Discord Role IDs or names",
+      type: "strings",
+      default: []
+    }],
+    default: []
+  }, {
+    name: "COMMANDS_ADMIN_GROUPS",
+    title: "Server Group IDs which are allowed to manage commands with !commands and to view !stats and the !audit log",
+    type: "strings",
+    default: []
+  }, {
+    name: "COMMANDS_ADMIN_UIDS",
+    title: "Client UIDs which are allowed to manage commands with !commands and to view !stats and the !audit log",
+    type: "strings",
+    default: []
+  }, {
+    name: "AUDIT_SIZE",
+    title: "Maximum amount of audit log entries which get kept, older entries get removed",
+    type: "number",
+    default: 1000
+  }, {
+    name: "CONFIRM_COMMAND",
+    title: "Name of the command which confirms the execution of destructive commands (default: confirm)",
+    type: "string",
+    default: "confirm"
+  }, {
+    name: "MANAGE_COMMAND",
+    title: "Name of the command which enables, disables and lists commands, leave empty to disable it (default: commands)",
+    type: "string",
+    default: "commands"
+  }, {
+    name: "STATS_COMMAND",
+    title: "Name of the command which displays the usage statistics, leave empty to disable it (default: stats)",
+    type: "string",
+    default: "stats"
+  }, {
+    name: "AUDIT_COMMAND",
+    title: "Name of the command which displays the audit log, leave empty to disable it (default: audit)",
+    type: "string",
+    default: "audit"
+  }, {
+    name: "HELP_PAGE_SIZE",
+    title: "Amount of commands which get displayed on a single page of the help command",
+    type: "number",
+    default: 20
+  }, {
+    name: "EMBEDS",
+    title: "Send help, manual and error messages as embeds on discord?",
+    type: "select",
+    options: ["YES", "NO"],
+    default: "0"
+  }, {
+    name: "PREFIXES",
+    title: "Additional command prefixes which can be used besides the prefix of the instance",
+    type: "strings",
+    default: []
   }]
-}, (_, { DEBUGLEVEL, NOT_FOUND_MESSAGE }, { version }) => {
+}, (_, { DEBUGLEVEL, NOT_FOUND_MESSAGE, SUGGESTIONS, LANGUAGE, TIMEZONE, ACL, COMMANDS_ADMIN_GROUPS, COMMANDS_ADMIN_UIDS, AUDIT_SIZE, CONFIRM_COMMAND, MANAGE_COMMAND, STATS_COMMAND, AUDIT_COMMAND, HELP_PAGE_SIZE, EMBEDS, PREFIXES }, { version }) => {
 
   const engine = require("engine")
   const event = require("event")
   const backend = require("backend")
   const format = require("format")
+  const store = require("store")
 
   /**
    * @param {number} level
@@ -67,7 +167,12 @@ registerPlugin({
    * @type {object}
    * @property {StringArgument} string
    * @property {NumberArgument} number
+   * @property {DurationArgument} duration
+   * @property {DateTimeArgument} datetime
+   * @property {BooleanArgument} boolean
+   * @property {(choices: Record<string, string[]>|string[]) => ChoiceArgument} choice
    * @property {ClientArgument} client
+   * @property {ChannelArgument} channel
    * @property {RestArgument} rest
    * @property {GroupArgument} or
    * @property {GroupArgument} and
@@ -76,14 +181,62 @@ registerPlugin({
   const ArgType = {}
 
   /**
-   * @ignore
-   * @typedef CommanderTextMessage
+   * @typedef CommandContext
    * @type {object}
-   * @property {(msg: string) => void} reply function to reply back
+   * @property {Reply} reply function to reply back
    * @property {Client} client the client which invoked the command
-   * @property {Record<string, any>} arguments arguments from the command
-   * @property {Message} raw raw message
+   * @property {Channel} channel the channel the message has been sent in
+   * @property {number} mode the chat mode, 1 = private, 2 = channel, 3 = server
+   * @property {string} text the complete message
+   * @property {BaseCommand} command the command which gets dispatched, gets updated when a subcommand has been found
+   * @property {string} args the unparsed arguments
+   * @property {Record<string, any>} arguments arguments from the command, available after the arguments have been parsed
+   * @property {MessageEvent} raw raw message
    * @property {DiscordMessage} [message]
+   * @property {(question: string, arg: createArgumentHandler|Argument, options?: PromptOptions) => Promise<any>} prompt asks the client a question and resolves with the parsed answer
+   */
+
+  /**
+   * methods of the reply function which gets passed to the exec handlers
+   * @typedef ReplyMethods
+   * @type {object}
+   * @property {(msg: string) => void} success replies a message which reports a success
+   * @property {(msg: string) => void} error replies a message which reports an error
+   * @property {(msg: string) => void} code replies the message as code block
+   * @property {(msg: string) => void} private sends the message always as private message to the client
+   * @property {(msg: string) => void} channel sends the message to the channel the command has been used in or the client is in
+   * @property {(msg: string) => void} poke pokes the client with the message, sends a private message on discord
+   * @property {(embed: DiscordEmbed) => void} embed sends an embed on discord, falls back to the title and description as text
+   */
+
+  /**
+   * replies in the chat the command has been used in
+   * @ignore
+   * @typedef {((msg: string) => void) & ReplyMethods} Reply
+   */
+
+  /**
+   * @typedef PromptOptions
+   * @type {object}
+   * @property {number} [timeout] time in milliseconds to wait for an answer, defaults to 60 seconds
+   * @property {string[]} [cancel] words which cancel the prompt, defaults to "cancel" and "abort"
+   * @property {number} [retries] amount of invalid answers after which the prompt fails, defaults to 3
+   */
+
+  /**
+   * @ignore
+   * @typedef PendingPrompt
+   * @type {object}
+   * @property {(text: string) => void} handle handles the answer of the client
+   * @property {(error: Error) => void} reject stops waiting for an answer
+   */
+
+  /**
+   * @ignore
+   * @typedef PendingConfirmation
+   * @type {object}
+   * @property {() => void} confirm executes the command
+   * @property {(error: Error) => void} reject discards the command
    */
 
   /**
@@ -102,8 +255,9 @@ registerPlugin({
    * @callback execHandler
    * @param {Client} invoker
    * @param {Record<string, any>} args
-   * @param {(msg: string) => void} reply
+   * @param {Reply} reply
    * @param {MessageEvent} event
+   * @param {CommandContext} ctx
    */
 
   /**
@@ -112,12 +266,115 @@ registerPlugin({
    * @param {Client} invoker
    */
 
+  /**
+   * callback for an error which occured while dispatching a command
+   * return a string to reply it instead of the default message, return true to suppress the default message
+   * when nothing gets returned the next error handler or the default message will be used
+   * @callback errorHandler
+   * @param {Error} error the error which has been thrown
+   * @param {CommandContext} ctx the context of the command
+   * @returns {string|boolean|void|Promise<string|boolean|void>}
+   */
+
+  /**
+   * callback for a middleware
+   * a middleware can modify the context, call next to continue with the dispatching
+   * or return without calling next to stop the dispatching of the command
+   * @callback middlewareHandler
+   * @param {CommandContext} ctx the context of the command
+   * @param {() => Promise<void>} next continues with the next middleware or the execution of the command
+   */
+
+  /**
+   * @ignore
+   * @typedef CommandOption
+   * @type {object}
+   * @property {string} name the long name of the option used as --name
+   * @property {?string} short the short name of the option used as -n
+   * @property {?Argument} argument the argument which parses the value, null for boolean flags
+   */
+
+  /**
+   * @ignore
+   * @typedef DiscordEmbed
+   * @type {object}
+   * @property {string} [title] the title of the embed
+   * @property {string} [description] the text of the embed
+   * @property {number} [color] the color of the stripe on the left side
+   * @property {{ name: string, value: string, inline?: boolean }[]} [fields] the fields of the embed
+   * @property {{ text: string }} [footer] the footer of the embed
+   */
+
+  /**
+   * @ignore
+   * @typedef CommandRequirement
+   * @type {object}
+   * @property {"servergroup"|"channelgroup"|"uid"|"role"} type the kind of the requirement
+   * @property {string[]} values the ids of which the client needs to have at least one
+   */
+
+  /**
+   * @ignore
+   * @typedef AccessRule
+   * @type {object}
+   * @property {string} commands the command name pattern, * matches anything
+   * @property {string} mode "0" to allow, "1" to deny the matching clients
+   * @property {string[]} servergroups the server group ids the rule applies to
+   * @property {string[]} uids the uids the rule applies to
+   * @property {string[]} roles the discord role ids or names the rule applies to
+   */
+
+  /**
+   * @ignore
+   * @typedef CommandUsage
+   * @type {object}
+   * @property {number} count the amount of invocations
+   * @property {number} success the amount of successful invocations
+   * @property {Record<string, number>} errors the amount of failed invocations by the name of the error class
+   * @property {number[]} latencies the execution times of the last invocations in milliseconds
+   * @property {Record<string, { name: string, count: number }>} users the amount of invocations by client uid
+   */
+
+  /**
+   * @typedef CommandStats
+   * @type {object}
+   * @property {string} command the command path without prefix
+   * @property {number} count the amount of invocations
+   * @property {number} success the amount of successful invocations
+   * @property {number} failed the amount of failed invocations
+   * @property {Record<string, number>} errors the amount of failed invocations by the name of the error class
+   * @property {{ min: number, avg: number, p50: number, p90: number, p99: number, max: number }} latency the execution times of the last invocations in milliseconds
+   * @property {{ uid: string, name: string, count: number }[]} users the clients which used the command the most
+   */
+
+  /**
+   * @typedef AuditEntry
+   * @type {object}
+   * @property {number} timestamp the time when the command has been used
+   * @property {string} command the command path without prefix
+   * @property {string} uid the uid of the client which used the command
+   * @property {string} name the name of the client which used the command
+   * @property {string} text the complete message
+   * @property {Record<string, any>} arguments the parsed arguments
+   * @property {number} mode the chat mode, 1 = private, 2 = channel, 3 = server
+   * @property {?{ id: string, name: string }} channel the channel the message has been sent in
+   * @property {boolean} success wether the command finished without an error
+   * @property {?string} error the name of the error class and its message when the command failed
+   * @property {number} duration the execution time in milliseconds
+   */
+
+  /**
+   * callback which retrieves the identifier of a throttle bucket
+   * @callback throttleScopeHandler
+   * @param {MessageEvent} event
+   * @returns {string}
+   */
+
   /**
    * @ignore
    * @typedef ThrottleInterface
    * @property {number} points
-   * @property {number} next
-   * @property {number} timeout
+   * @property {number} updated timestamp of the last penalty or restored tick
    */
 
 
@@ -160,10 +417,38 @@ registerPlugin({
     /**
      * @param {string} err
      * @param {Argument} argument
+     * @param {string} [key] translation key of the message
+     * @param {Record<string, any>} [params] placeholders of the translation
      */
-    constructor(err, argument) {
+    constructor(err, argument, key, params = {}) {
       super(err)
       this.argument = argument
+      this.key = key
+      this.params = params
+    }
+  }
+
+  /**
+   * class representing a QuoteError
+   * gets thrown when a quote in the arguments has not been closed
+   * @private
+   */
+  class QuoteError extends ParseError {}
+
+  /**
+   * class representing an AmbiguousError
+   * gets thrown when an Argument matches multiple objects
+   * @private
+   */
+  class AmbiguousError extends ParseError {
+    /**
+     * @param {string} err
+     * @param {Argument} argument
+     * @param {string[]} matches names of the matched objects
+     */
+    constructor(err, argument, matches) {
+      super(err, argument)
+      this.matches = matches
     }
   }
 
@@ -172,9 +457,17 @@ registerPlugin({
    * @private
    */
   class CommandNotFoundError extends Error {
-    /** @param {string} err */
-    constructor(err) {
+    /**
+     * @param {string} err
+     * @param {string} [key] translation key of the message
+     * @param {Record<string, any>} [params] placeholders of the translation
+     */
+    constructor(err, key, params = {}) {
       super(err)
+      this.key = key
+      this.params = params
+      /** @type {string[]} */
+      this.suggestions = []
     }
   }
 
@@ -189,11 +482,125 @@ registerPlugin({
     }
   }
 
+  /**
+   * class representing a PromptTimeoutError
+   * gets thrown when the client did not answer a prompt in time
+   * @private
+   */
+  class PromptTimeoutError extends Error {
+    /** @param {string} err */
+    constructor(err) {
+      super(err)
+    }
+  }
+
+  /**
+   * class representing a ConfirmationError
+   * gets thrown when a command which requires a confirmation has been discarded
+   * @private
+   */
+  class ConfirmationError extends Error {
+    /**
+     * @param {string} err
+     * @param {string} key the translation key of the message for the client
+     */
+    constructor(err, key) {
+      super(err)
+      this.key = key
+    }
+  }
+
+  /**
+   * class representing a ChatRestrictionError
+   * gets thrown when a command has been used in a chat or channel it is not allowed in
+   * @private
+   */
+  class ChatRestrictionError extends Error {
+    /**
+     * @param {string} err
+     * @param {string[]} modes names of the chats the command is allowed in
+     * @param {string[]} channels ids of the channels the command is allowed in
+     */
+    constructor(err, modes, channels) {
+      super(err)
+      this.modes = modes
+      this.channels = channels
+    }
+  }
+
+  /**
+   * class representing a PromptCancelError
+   * gets thrown when the client cancelled a prompt
+   * @private
+   */
+  class PromptCancelError extends Error {
+    /** @param {string} err */
+    constructor(err) {
+      super(err)
+    }
+  }
+
 
   ////////////////////////////////////////////////////////////
   ////                  ARGUMENTS                         ////
   ////////////////////////////////////////////////////////////
 
+  /**
+   * @name Tokenizer
+   */
+  class Tokenizer {
+
+    /**
+     * reads the next token from the input and throws when a quote has not been closed
+     * @param {string} input the string to read the token from
+     * @param {Argument} argument the argument which requests the token
+     */
+    static next(input, argument) {
+      const { unterminated, ...result } = Tokenizer.read(input)
+      if (unterminated !== null) throw new QuoteError(`unterminated quote, missing ${unterminated} in ${input.slice(result.start)}`, argument)
+      return result
+    }
+
+    /**
+     * reads the next whitespace separated token from the input
+     * a token which starts with a double or single quote lasts until the matching quote
+     * a backslash escapes the following character
+     * @param {string} input the string to read the token from
+     * @returns {{ token: string, rest: string, quoted: boolean, unterminated: ?string, start: number, end: number }}
+     */
+    static read(input) {
+      const start = input.search(/\S|$/)
+      /**
+       * @type {?string}
+       * @private
+       */
+      let quote = null
+      let quoted = false
+      let token = ""
+      let index = start
+      for (; index < input.length; index++) {
+        const char = input[index]
+        if (char === "\\" && index + 1 < input.length) {
+          token += input[++index]
+        } else if (quote !== null) {
+          if (char === quote) {
+            quote = null
+          } else {
+            token += char
+          }
+        } else if (index === start && (char === "\"" || char === "'")) {
+          quote = char
+          quoted = true
+        } else if ((/\s/).test(char)) {
+          break
+        } else {
+          token += char
+        }
+      }
+      return { token, quoted, unterminated: quote, start, end: index, rest: input.slice(index).trim() }
+    }
+  }
+
   /**
    * @name Argument
    */
@@ -277,6 +684,11 @@ registerPlugin({
       return this._optional
     }
 
+    /** checks if the default value should be displayed in the manual */
+    isDefaultDisplayed() {
+      return this._displayDefault
+    }
+
     /**
      * Sets a name for the argument to identify it later when the command gets dispatched
      * This name will be used when passing the parsed argument to the exec function
@@ -300,6 +712,14 @@ registerPlugin({
       return this._name
     }
 
+    /**
+     * Retrieves the display name of the Argument
+     * @returns {string} retrieves the arguments display name
+     */
+    getDisplayName() {
+      return this._display
+    }
+
 
     /**
      * creates new object with argument options
@@ -309,7 +729,12 @@ registerPlugin({
       return {
         string: new StringArgument(),
         number: new NumberArgument(),
+        duration: new DurationArgument(),
+        datetime: new DateTimeArgument(),
+        boolean: new BooleanArgument(),
+        choice: choices => new ChoiceArgument(choices),
         client: new ClientArgument(),
+        channel: new ChannelArgument(),
         rest: new RestArgument(),
         or: new GroupArgument("or"),
         and: new GroupArgument("and")
@@ -361,9 +786,8 @@ registerPlugin({
      * @param {string} args the remaining args
      */
     validate(args) {
-      const argArray = args.split(" ")
-      const str = argArray.shift()
-      return this._validate(str||"", argArray.join(" "))
+      const { token, rest } = Tokenizer.next(args, this)
+      return this._validate(token, rest)
     }
 
     /**
@@ -375,10 +799,10 @@ registerPlugin({
     _validate(arg, ...rest) {
       if (this._uppercase) arg = arg.toUpperCase()
       if (this._lowercase) arg = arg.toLowerCase()
-      if (this._minlen !== null && this._minlen > arg.length) throw new ParseError(`String length not greater or equal! Expected at least ${this._minlen}, but got ${arg.length}`, this)
-      if (this._maxlen !== null && this._maxlen < arg.length) throw new ParseError(`String length not less or equal! Maximum ${this._maxlen} chars allowed, but got ${arg.length}`, this)
-      if (this._whitelist !== null && !this._whitelist.includes(arg)) throw new ParseError(`Invalid Input for ${arg}. Allowed words: ${this._whitelist.join(", ")}`, this)
-      if (this._regex !== null && !this._regex.test(arg)) throw new ParseError(`Regex missmatch, the input '${arg}' did not match the expression ${this._regex.toString()}`, this)
+      if (this._minlen !== null && this._minlen > arg.length) throw new ParseError(`String length not greater or equal! Expected at least ${this._minlen}, but got ${arg.length}`, this, "argument.string.min", { min: this._minlen, length: arg.length })
+      if (this._maxlen !== null && this._maxlen < arg.length) throw new ParseError(`String length not less or equal! Maximum ${this._maxlen} chars allowed, but got ${arg.length}`, this, "argument.string.max", { max: this._maxlen, length: arg.length })
+      if (this._whitelist !== null && !this._whitelist.includes(arg)) throw new ParseError(`Invalid Input for ${arg}. Allowed words: ${this._whitelist.join(", ")}`, this, "argument.string.whitelist", { input: arg, words: this._whitelist.join(", ") })
+      if (this._regex !== null && !this._regex.test(arg)) throw new ParseError(`Regex missmatch, the input '${arg}' did not match the expression ${this._regex.toString()}`, this, "argument.string.regex", { input: arg, regex: this._regex.toString() })
       return [arg, ...rest]
     }
 
@@ -436,6 +860,130 @@ registerPlugin({
     }
   }
 
+  /**
+   * Class representing a ChoiceArgument
+   * this Argument accepts one of the given choices or one of their synonyms
+   * inside the exec function it will resolve the canonical name of the choice
+   * @name ChoiceArgument
+   */
+  class ChoiceArgument extends Argument {
+
+    /**
+     * @param {Record<string, string[]>|string[]} [choices] the available choices with their synonyms
+     */
+    constructor(choices = {}) {
+      super()
+      /**
+       * @type {Record<string, string[]>}
+       * @private
+       */
+      this._choices = {}
+      this._addChoices(choices)
+    }
+
+    /**
+     * Validates the given choice
+     * @param {string} args the remaining args
+     * @returns {any[]}
+     */
+    validate(args) {
+      const { token, rest } = Tokenizer.next(args, this)
+      const input = token.toLowerCase()
+      const choice = Object.keys(this._choices).find(name => name.toLowerCase() === input || this._choices[name].some(synonym => synonym.toLowerCase() === input))
+      if (choice === undefined) {
+        const allowed = Object.keys(this._choices)
+          .map(name => (this._choices[name].length > 0 ? `${name} (${this._choices[name].join(", ")})` : name))
+          .join(", ")
+        throw new ParseError(`Invalid choice "${token}". Allowed choices: ${allowed}`, this, "argument.choice.invalid", { input: token, choices: allowed })
+      }
+      return [choice, rest]
+    }
+
+    /**
+     * adds choices which are available for this argument
+     * @param {Record<string, string[]>|string[]} choices the canonical names mapped to their synonyms or a list of names without synonyms
+     */
+    choices(choices) {
+      this._addChoices(choices)
+      return this
+    }
+
+    /**
+     * retrieves the canonical names of all choices
+     * @returns {string[]}
+     */
+    getChoices() {
+      return Object.keys(this._choices)
+    }
+
+    /**
+     * adds multiple choices with their synonyms
+     * @param {Record<string, string[]>|string[]} choices the canonical names mapped to their synonyms or a list of names without synonyms
+     * @private
+     */
+    _addChoices(choices) {
+      if (Array.isArray(choices)) {
+        choices.forEach(name => this._addChoice(name, []))
+      } else {
+        Object.keys(choices).forEach(name => this._addChoice(name, choices[name]))
+      }
+    }
+
+    /**
+     * adds a single choice with its synonyms
+     * @param {string} name the canonical name
+     * @param {string[]} synonyms the synonyms of the choice
+     * @private
+     */
+    _addChoice(name, synonyms) {
+      if (!Array.isArray(this._choices[name])) this._choices[name] = []
+      this._choices[name].push(...synonyms)
+    }
+
+    /** gets the manual of a command */
+    getManual() {
+      const display = `${this.getDisplayName()}:${this.getChoices().join("|")}`
+      if (!this.isOptional()) return `<${display}>`
+      if (this.isDefaultDisplayed() && this.hasDefault()) return `[${display}=${this.getDefault()}]`
+      return `[${display}]`
+    }
+  }
+
+  /**
+   * Class representing a BooleanArgument
+   * this Argument accepts true/false, on/off, yes/no, 1/0 and enable/disable
+   * inside the exec function it will resolve a boolean
+   * @name BooleanArgument
+   */
+  class BooleanArgument extends ChoiceArgument {
+
+    constructor() {
+      super({
+        true: ["on", "yes", "y", "1", "enable", "enabled"],
+        false: ["off", "no", "n", "0", "disable", "disabled"]
+      })
+    }
+
+    /**
+     * Validates the given boolean
+     * @param {string} args the remaining args
+     * @returns {any[]}
+     */
+    validate(args) {
+      const [choice, rest] = super.validate(args)
+      return [choice === "true", rest]
+    }
+
+    /**
+     * the choices of a BooleanArgument are fixed
+     * @param {Record<string, string[]>|string[]} choices
+     * @returns {never}
+     */
+    choices(choices) {
+      throw new Error("The choices of a BooleanArgument can not be changed, use a ChoiceArgument instead")
+    }
+  }
+
   /**
    * @name RestArgument
    */
@@ -489,16 +1037,15 @@ registerPlugin({
      * @param {string} args the remaining args
      */
     validate(args) {
-      const argArray = args.split(" ")
-      const arg = argArray.shift()|| ""
+      const { token: arg, rest } = Tokenizer.next(args, this)
       const num = parseFloat(arg)
-      if (!(/^-?\d+(\.\d+)?$/).test(arg) || isNaN(num)) throw new ParseError(`"${arg}" is not a valid number`, this)
-      if (this._min !== null && this._min > num) throw new ParseError(`Number not greater or equal! Expected at least ${this._min}, but got ${num}`, this)
-      if (this._max !== null && this._max < num) throw new ParseError(`Number not less or equal! Expected at least ${this._max}, but got ${num}`, this)
-      if (this._int && num % 1 !== 0) throw new ParseError(`Given Number is not an Integer! (${num})`, this)
-      if (this._forcePositive && num <= 0) throw new ParseError(`Given Number is not Positive! (${num})`, this)
-      if (this._forceNegative && num >= 0) throw new ParseError(`Given Number is not Negative! (${num})`, this)
-      return [num, argArray.join(" ")]
+      if (!(/^-?\d+(\.\d+)?$/).test(arg) || isNaN(num)) throw new ParseError(`"${arg}" is not a valid number`, this, "argument.number.invalid", { input: arg })
+      if (this._min !== null && this._min > num) throw new ParseError(`Number not greater or equal! Expected at least ${this._min}, but got ${num}`, this, "argument.number.min", { min: this._min, number: num })
+      if (this._max !== null && this._max < num) throw new ParseError(`Number not less or equal! Expected at most ${this._max}, but got ${num}`, this, "argument.number.max", { max: this._max, number: num })
+      if (this._int && num % 1 !== 0) throw new ParseError(`Given Number is not an Integer! (${num})`, this, "argument.number.integer", { number: num })
+      if (this._forcePositive && num <= 0) throw new ParseError(`Given Number is not Positive! (${num})`, this, "argument.number.positive", { number: num })
+      if (this._forceNegative && num >= 0) throw new ParseError(`Given Number is not Negative! (${num})`, this, "argument.number.negative", { number: num })
+      return [num, rest]
     }
 
     /**
@@ -542,55 +1089,582 @@ registerPlugin({
   }
 
   /**
-   * Class representing a ClientArgument
-   * this Argument is capable to parse a Client UID or a simple UID
-   * inside the exec function it will resolve the found uid
-   * @name ClientArgument
+   * available duration units with their length in milliseconds
+   * @type {Record<string, number>}
    */
-  class ClientArgument extends Argument {
+  const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+  }
 
-    /**
-     * Validates and tries to parse the Client from the given input string
-     * @param {string} args the input from where the client gets extracted
-     */
-    validate(args) {
-      switch (engine.getBackend()) {
-        case "ts3": return this._validateTS3(args)
-        case "discord": return this._validateDiscord(args)
-        default: throw new Error(`Unknown Backend ${engine.getBackend()}`)
-      }
-    }
+  /**
+   * aliases of the available duration units
+   * @type {Record<string, string[]>}
+   */
+  const DURATION_ALIASES = {
+    ms: ["msec", "millisecond", "milliseconds"],
+    s: ["sec", "secs", "second", "seconds"],
+    m: ["min", "mins", "minute", "minutes"],
+    h: ["hr", "hrs", "hour", "hours"],
+    d: ["day", "days"],
+    w: ["wk", "wks", "week", "weeks"]
+  }
 
-    /**
-     * Tries to validate a TeamSpeak Client URL or UID
-     * @param {string} args the input from where the client gets extracted
-     * @private
-     */
+  /**
+   * retrieves the duration unit name of an unit or its alias
+   * @param {string} unit
+   * @returns {?string}
+   */
+  function getDurationUnit(unit) {
+    const name = unit.toLowerCase()
+    if (DURATION_UNITS[name] !== undefined) return name
+    const alias = Object.keys(DURATION_ALIASES).find(key => DURATION_ALIASES[key].includes(name))
+    return alias === undefined ? null : alias
+  }
+
+  /**
+   * parses a duration string like "1h30m" into milliseconds
+   * @param {string} input the duration string
+   * @param {string} unit the unit which gets used for plain numbers
+   * @param {Argument} argument the argument which parses the duration
+   * @returns {number}
+   */
+  function parseDuration(input, unit, argument) {
+    if ((/^\d+(\.\d+)?$/).test(input)) return Math.round(parseFloat(input) * DURATION_UNITS[unit])
+    const parts = (/^(\d+(\.\d+)?[a-z]+)+$/i).test(input) ? input.match(/\d+(\.\d+)?[a-z]+/gi) : null
+    if (parts === null) throw new ParseError(`"${input}" is not a valid duration, expected something like 90s, 1h30m or 2d`, argument, "argument.duration.invalid", { input })
+    /** @type {string[]} */
+    const used = []
+    return Math.round(parts.reduce((acc, part) => {
+      const match = part.match(/^(?<value>\d+(\.\d+)?)(?<name>[a-z]+)$/i)
+      if (!match || !match.groups) throw new ParseError(`"${input}" is not a valid duration, expected something like 90s, 1h30m or 2d`, argument, "argument.duration.invalid", { input })
+      const { value, name } = match.groups
+      const unitName = getDurationUnit(name)
+      if (unitName === null) throw new ParseError(`Unknown unit "${name}" in duration "${input}", expected one of ${Object.keys(DURATION_UNITS).join(", ")}`, argument, "argument.duration.unit", { unit: name, input, units: Object.keys(DURATION_UNITS).join(", ") })
+      if (used.includes(unitName)) throw new ParseError(`Unit "${unitName}" has been used multiple times in duration "${input}"`, argument, "argument.duration.duplicate", { unit: unitName, input })
+      used.push(unitName)
+      return acc + parseFloat(value) * DURATION_UNITS[unitName]
+    }, 0))
+  }
+
+  /**
+   * Class representing a DurationArgument
+   * this Argument parses durations like "1h30m", "90s", "2d" or plain numbers
+   * inside the exec function it will resolve the duration in milliseconds
+   * @name DurationArgument
+   */
+  class DurationArgument extends Argument {
+
+    constructor() {
+      super()
+      /**
+       * @type {?number}
+       * @private
+       */
+      this._min = null
+      /**
+       * @type {?number}
+       * @private
+       */
+      this._max = null
+      /**
+       * @type {string}
+       * @private
+       */
+      this._unit = "s"
+    }
+
+    /**
+     * Validates the given duration
+     * @param {string} args the remaining args
+     */
+    validate(args) {
+      const { token: arg, rest } = Tokenizer.next(args, this)
+      const duration = parseDuration(arg, this._unit, this)
+      if (this._min !== null && this._min > duration) {
+        const params = { min: DurationArgument.format(this._min), duration: DurationArgument.format(duration) }
+        throw new ParseError(`Duration too short! Expected at least ${params.min}, but got ${params.duration}`, this, "argument.duration.min", params)
+      }
+      if (this._max !== null && this._max < duration) {
+        const params = { max: DurationArgument.format(this._max), duration: DurationArgument.format(duration) }
+        throw new ParseError(`Duration too long! Expected at most ${params.max}, but got ${params.duration}`, this, "argument.duration.max", params)
+      }
+      return [duration, rest]
+    }
+
+    /**
+     * specifies the minimum duration
+     * @param {number|string} min the minimum duration in milliseconds or as duration string (eg. "30s")
+     */
+    min(min) {
+      this._min = typeof min === "number" ? min : parseDuration(min, "ms", this)
+      return this
+    }
+
+    /**
+     * specifies the maximum duration
+     * @param {number|string} max the maximum duration in milliseconds or as duration string (eg. "1d")
+     */
+    max(max) {
+      this._max = typeof max === "number" ? max : parseDuration(max, "ms", this)
+      return this
+    }
+
+    /**
+     * specifies the unit which gets used when a plain number has been given, defaults to seconds
+     * @param {string} unit one of ms, s, m, h, d, w
+     */
+    unit(unit) {
+      const name = getDurationUnit(unit)
+      if (name === null) throw new Error(`Unknown duration unit "${unit}", expected one of ${Object.keys(DURATION_UNITS).join(", ")}`)
+      this._unit = name
+      return this
+    }
+
+    /** gets the manual of a command */
+    getManual() {
+      const limits = []
+      if (this._min !== null) limits.push(`min ${DurationArgument.format(this._min)}`)
+      if (this._max !== null) limits.push(`max ${DurationArgument.format(this._max)}`)
+      let display = this.getDisplayName()
+      if (this.isOptional() && this.isDefaultDisplayed() && this.hasDefault()) {
+        const fallback = this.getDefault()
+        display += `=${typeof fallback === "number" ? DurationArgument.format(fallback) : fallback}`
+      }
+      if (limits.length > 0) display += ` (${limits.join(", ")})`
+      return this.isOptional() ? `[${display}]` : `<${display}>`
+    }
+
+    /**
+     * formats milliseconds to a human readable duration like "1h 30m"
+     * @param {number} duration the duration in milliseconds
+     * @returns {string}
+     */
+    static format(duration) {
+      if (duration === 0) return "0s"
+      let remaining = Math.abs(duration)
+      const parts = Object.keys(DURATION_UNITS)
+        .sort((a, b) => DURATION_UNITS[b] - DURATION_UNITS[a])
+        .map(name => {
+          const amount = Math.floor(remaining / DURATION_UNITS[name])
+          remaining -= amount * DURATION_UNITS[name]
+          return amount > 0 ? `${amount}${name}` : null
+        })
+        .filter(part => part !== null)
+      return `${duration < 0 ? "-" : ""}${parts.join(" ")}`
+    }
+  }
+
+  /**
+   * Class representing a DateTimeArgument
+   * this Argument parses absolute dates like "2026-10-20 18:00", "18:00", "tomorrow 9am"
+   * and relative dates like "in 2 hours" in the timezone of the instance
+   * inside the exec function it will resolve the timestamp in milliseconds
+   * @name DateTimeArgument
+   */
+  class DateTimeArgument extends Argument {
+
+    constructor() {
+      super()
+      /**
+       * @type {boolean}
+       * @private
+       */
+      this._future = false
+      /**
+       * @type {boolean}
+       * @private
+       */
+      this._past = false
+      /**
+       * @type {?string}
+       * @private
+       */
+      this._timezone = null
+    }
+
+    /**
+     * Validates the given date and time
+     * @param {string} args the remaining args
+     */
+    validate(args) {
+      const now = Date.now()
+      const { text, rest, quoted } = DateTimeArgument.split(args, this)
+      const result = this._parse(text, now)
+      if (result === null || (quoted && result.end !== text.length)) {
+        const input = quoted ? text : Tokenizer.read(text).token
+        throw new ParseError(`"${input}" is not a valid date, expected something like 2026-10-20 18:00, 18:00, tomorrow 9am or in 2 hours`, this, "argument.datetime.invalid", { input })
+      }
+      const { timestamp } = result
+      if (this._future && timestamp <= now) throw new ParseError(`Date is not in the future! Got ${this.format(timestamp)}`, this, "argument.datetime.future", { date: this.format(timestamp) })
+      if (this._past && timestamp >= now) throw new ParseError(`Date is not in the past! Got ${this.format(timestamp)}`, this, "argument.datetime.past", { date: this.format(timestamp) })
+      return [timestamp, quoted ? rest : text.slice(result.end).trim()]
+    }
+
+    /** specifies that the date must be in the future */
+    future() {
+      this._future = true
+      this._past = false
+      return this
+    }
+
+    /** specifies that the date must be in the past */
+    past() {
+      this._future = false
+      this._past = true
+      return this
+    }
+
+    /**
+     * overwrites the timezone of the instance for this argument
+     * @param {string} timezone a timezone name like "Europe/Vienna" or an offset like "+02:00"
+     */
+    timezone(timezone) {
+      if (!DateTimeArgument.isValidTimezone(timezone)) throw new Error(`Invalid timezone "${timezone}"`)
+      this._timezone = timezone
+      return this
+    }
+
+    /** retrieves the timezone which gets used to parse the date */
+    getTimezone() {
+      return this._timezone === null ? defaultTimezone : this._timezone
+    }
+
+    /**
+     * formats a timestamp to a date in the timezone of the argument
+     * @param {number} timestamp the timestamp in milliseconds
+     * @returns {string}
+     */
+    format(timestamp) {
+      return DateTimeArgument.formatDate(timestamp, this.getTimezone())
+    }
+
+    /**
+     * formats a timestamp to a date in the given timezone
+     * @param {number} timestamp the timestamp in milliseconds
+     * @param {string} [timezone] the timezone, defaults to the timezone of the instance
+     * @returns {string}
+     */
+    static formatDate(timestamp, timezone = defaultTimezone) {
+      const { year, month, day, hour, minute } = DateTimeArgument.getLocalTime(timestamp, timezone)
+      /** @param {number} num */
+      const pad = num => String(num).padStart(2, "0")
+      return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}`
+    }
+
+    /** gets the manual of a command */
+    getManual() {
+      const fallback = this.getDefault()
+      if (!this.isOptional() || !this.isDefaultDisplayed() || typeof fallback !== "number") return super.getManual()
+      return `[${this.getDisplayName()}=${this.format(fallback)}]`
+    }
+
+    /**
+     * tries to parse a date from the beginning of the text
+     * @param {string} text the text to parse
+     * @param {number} now the current timestamp
+     * @returns {?{ timestamp: number, end: number }}
+     * @private
+     */
+    _parse(text, now) {
+      const timezone = this.getTimezone()
+      const units = Object.keys(DURATION_UNITS)
+        .concat(...Object.values(DURATION_ALIASES))
+        .sort((a, b) => b.length - a.length)
+        .join("|")
+      const time = "(?=\\d{1,2}(?::\\d{2}|\\s*[ap]m))(?<hour>\\d{1,2})(?::(?<minute>\\d{2})(?::(?<second>\\d{2}))?)?(?:\\s*(?<meridiem>[ap]m))?"
+      const end = "(?=\\s|$)"
+      const today = DateTimeArgument.getLocalTime(now, timezone)
+      let match = text.match(new RegExp(`^now${end}`, "i"))
+      if (match) return { timestamp: now, end: match[0].length }
+      match = text.match(new RegExp(`^in\\s+(?<duration>\\d+(?:\\.\\d+)?\\s*(?:${units})(?:\\s*\\d+(?:\\.\\d+)?\\s*(?:${units}))*)${end}`, "i"))
+      if (match && match.groups) {
+        const duration = parseDuration(match.groups.duration.replace(/\s+/g, ""), "s", this)
+        return { timestamp: now + duration, end: match[0].length }
+      }
+      match = text.match(new RegExp(`^(?<year>\\d{4})-(?<month>\\d{1,2})-(?<day>\\d{1,2})(?:[\\sT]+${time})?${end}`, "i"))
+      if (match && match.groups) {
+        const { year, month, day } = match.groups
+        return { timestamp: this._toTimestamp({ year: parseInt(year, 10), month: parseInt(month, 10), day: parseInt(day, 10) }, match.groups), end: match[0].length }
+      }
+      match = text.match(new RegExp(`^(?<relative>today|tomorrow|yesterday)(?:\\s+(?:at\\s+)?${time})?${end}`, "i"))
+      if (match && match.groups) {
+        /** @type {Record<string, number>} */
+        const offsets = { today: 0, tomorrow: 1, yesterday: -1 }
+        const offset = offsets[match.groups.relative.toLowerCase()]
+        return { timestamp: this._toTimestamp(DateTimeArgument.addDays(today, offset), match.groups), end: match[0].length }
+      }
+      match = text.match(new RegExp(`^${time}${end}`, "i"))
+      if (match && match.groups) {
+        const timestamp = this._toTimestamp(today, match.groups)
+        //a time without a date refers to the next occurence when the date has to be in the future
+        if (this._future && timestamp <= now) return { timestamp: this._toTimestamp(DateTimeArgument.addDays(today, 1), match.groups), end: match[0].length }
+        return { timestamp, end: match[0].length }
+      }
+      return null
+    }
+
+    /**
+     * converts a local date and the matched time to a timestamp
+     * @param {{ year: number, month: number, day: number }} date the local date
+     * @param {Record<string, string>} time the matched time groups
+     * @returns {number}
+     * @private
+     */
+    _toTimestamp({ year, month, day }, { hour = "0", minute = "0", second = "0", meridiem }) {
+      let hours = parseInt(hour, 10)
+      const minutes = parseInt(minute, 10)
+      const seconds = parseInt(second, 10)
+      if (meridiem) {
+        if (hours < 1 || hours > 12) throw new ParseError(`Invalid hour ${hours} for a 12-hour time, expected 1 to 12`, this, "argument.datetime.hour12", { hour: hours })
+        hours = hours % 12 + (meridiem.toLowerCase() === "pm" ? 12 : 0)
+      }
+      if (hours > 23) throw new ParseError(`Invalid hour ${hours}, expected 0 to 23`, this, "argument.datetime.hour", { hour: hours })
+      if (minutes > 59) throw new ParseError(`Invalid minute ${minutes}, expected 0 to 59`, this, "argument.datetime.minute", { minute: minutes })
+      if (seconds > 59) throw new ParseError(`Invalid second ${seconds}, expected 0 to 59`, this, "argument.datetime.second", { second: seconds })
+      const utc = Date.UTC(year, month - 1, day, hours, minutes, seconds)
+      const date = new Date(utc)
+      if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) throw new ParseError(`Invalid date ${year}-${month}-${day}`, this, "argument.datetime.date", { date: `${year}-${month}-${day}` })
+      const timezone = this.getTimezone()
+      const timestamp = utc - DateTimeArgument.getTimezoneOffset(timezone, utc)
+      //the offset may differ at the resulting timestamp due to daylight saving time
+      return utc - DateTimeArgument.getTimezoneOffset(timezone, timestamp)
+    }
+
+    /**
+     * adds days to a local date
+     * @param {{ year: number, month: number, day: number }} date the local date
+     * @param {number} days the amount of days to add
+     * @returns {{ year: number, month: number, day: number }}
+     * @private
+     */
+    static addDays({ year, month, day }, days) {
+      const date = new Date(Date.UTC(year, month - 1, day + days))
+      return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+    }
+
+    /**
+     * splits the date from the remaining arguments
+     * quoted dates get read as single token, otherwise the date gets read from the whole input
+     * @param {string} args the remaining args
+     * @param {Argument} argument the argument which parses the date
+     * @returns {{ text: string, rest: string, quoted: boolean }}
+     * @private
+     */
+    static split(args, argument) {
+      const { token, rest, quoted } = Tokenizer.next(args, argument)
+      if (quoted) return { text: token, rest, quoted }
+      return { text: args.trim(), rest: "", quoted }
+    }
+
+    /**
+     * checks if the given timezone can be used
+     * @param {string} timezone a timezone name like "Europe/Vienna" or an offset like "+02:00"
+     * @returns {boolean}
+     */
+    static isValidTimezone(timezone) {
+      try {
+        DateTimeArgument.getTimezoneOffset(timezone, Date.now())
+        return true
+      } catch (e) {
+        return false
+      }
+    }
+
+    /**
+     * retrieves the offset of a timezone to UTC in milliseconds
+     * @param {string} timezone a timezone name like "Europe/Vienna" or an offset like "+02:00"
+     * @param {number} timestamp the timestamp at which the offset should be calculated
+     * @returns {number}
+     * @private
+     */
+    static getTimezoneOffset(timezone, timestamp) {
+      const fixed = timezone.trim().match(/^(?:UTC|GMT)?\s*(?:(?<sign>[+-])(?<hours>\d{1,2})(?::?(?<minutes>\d{2}))?)?$/i)
+      if (fixed && fixed.groups) {
+        const { sign, hours = "0", minutes = "0" } = fixed.groups
+        return (sign === "-" ? -1 : 1) * (parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 * 1000
+      }
+      if (typeof Intl !== "object") throw new Error(`can not resolve timezone "${timezone}", only offsets like "+02:00" are supported`)
+      /** @type {Record<string, number>} */
+      const parts = {}
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hour12: false,
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric"
+      }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => parts[type] = parseInt(value, 10))
+      const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second)
+      return local - (timestamp - timestamp % 1000)
+    }
+
+    /**
+     * retrieves the date and time of a timestamp in a timezone
+     * @param {number} timestamp the timestamp in milliseconds
+     * @param {string} timezone the timezone
+     * @returns {{ year: number, month: number, day: number, hour: number, minute: number }}
+     * @private
+     */
+    static getLocalTime(timestamp, timezone) {
+      const date = new Date(timestamp + DateTimeArgument.getTimezoneOffset(timezone, timestamp))
+      return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes()
+      }
+    }
+  }
+
+  /**
+   * Class representing a ClientArgument
+   * this Argument is capable to parse a Client UID or a simple UID
+   * inside the exec function it will resolve the found uid
+   * @name ClientArgument
+   */
+  class ClientArgument extends Argument {
+
+    /**
+     * Validates and tries to parse the Client from the given input string
+     * @param {string} args the input from where the client gets extracted
+     */
+    validate(args) {
+      switch (engine.getBackend()) {
+        case "ts3": return this._validateTS3(args)
+        case "discord": return this._validateDiscord(args)
+        default: throw new Error(`Unknown Backend ${engine.getBackend()}`)
+      }
+    }
+
+    /**
+     * Tries to validate a TeamSpeak Client URL, UID or Name
+     * @param {string} args the input from where the client gets extracted
+     * @private
+     */
     _validateTS3(args) {
-      const match = args.match(/^(\[URL=client:\/\/\d*\/(?<url_uid>[/+a-z0-9]{27}=)~.*\].*\[\/URL\]|(?<uid>[/+a-z0-9]{27}=)) *(?<rest>.*)$/i)
-      if (!match || !match.groups) throw new ParseError("Client not found!", this)
-      return [match.groups.url_uid || match.groups.uid, match.groups.rest]
+      const match = args.match(/^\[URL=client:\/\/\d*\/(?<uid>[/+a-z0-9]{27}=)~.*?\].*?\[\/URL\] *(?<rest>.*)$/i)
+      if (match && match.groups) return [match.groups.uid, match.groups.rest]
+      const { token, rest } = Tokenizer.next(args, this)
+      if ((/^[/+a-z0-9]{27}=$/i).test(token)) return [token, rest]
+      return [this._getClientByName(token).uid(), rest]
     }
 
     /**
-     * Tries to validate a Discord Client Name or ID
+     * Tries to validate a Discord Client mention or Name
      * @param {string} args the input from where the client gets extracted
      * @private
      */
     _validateDiscord(args) {
-      const match = args.match(/^(<@(?<id>\d{18})>|@(?<name>.*?)#\d{4}) *(?<rest>.*)$/i)
-      if (!match || !match.groups) throw new ParseError("Client not found!", this)
-      const { id, name, rest } = match.groups
-      if (id) {
-        return [id, rest]
-      } else if (name) {
-        const client = backend.getClientByName(name)
-        if (!client) throw new ParseError("Client not found!", this)
-        return [client.uid().split("/")[1], rest]
-      } else {
-        throw new ParseError("Client not found!", this)
+      const match = args.match(/^<@!?(?<id>\d+)> *(?<rest>.*)$/)
+      if (match && match.groups) return [match.groups.id, match.groups.rest]
+      const { token, rest } = Tokenizer.next(args, this)
+      const name = token.replace(/^@/, "").replace(/#\d{4}$/, "")
+      return [this._getClientByName(name).uid().split("/")[1], rest]
+    }
+
+    /**
+     * retrieves a client by its name
+     * @param {string} name the name of the client
+     * @private
+     */
+    _getClientByName(name) {
+      const client = name.length > 0 ? backend.getClientByName(name) : undefined
+      if (!client) throw new ParseError("Client not found!", this, "argument.client.notfound")
+      return client
+    }
+  }
+
+  /**
+   * Class representing a ChannelArgument
+   * this Argument is capable to parse a TeamSpeak channel url, a discord channel mention,
+   * a channel id or a (partial) channel name
+   * inside the exec function it will resolve the found channel
+   * @name ChannelArgument
+   */
+  class ChannelArgument extends Argument {
+
+    /**
+     * Validates and tries to parse the Channel from the given input string
+     * @param {string} args the input from where the channel gets extracted
+     */
+    validate(args) {
+      switch (engine.getBackend()) {
+        case "ts3": return this._validateTS3(args)
+        case "discord": return this._validateDiscord(args)
+        default: throw new Error(`Unknown Backend ${engine.getBackend()}`)
       }
     }
+
+    /**
+     * Tries to validate a TeamSpeak Channel URL, ID or Name
+     * @param {string} args the input from where the channel gets extracted
+     * @private
+     */
+    _validateTS3(args) {
+      const match = args.match(/^\[URL=channelid:\/\/(?<id>\d+)\].*?\[\/URL\] *(?<rest>.*)$/i)
+      if (match && match.groups) return [this._getChannelByID(match.groups.id), match.groups.rest]
+      return this._validateName(args, id => id)
+    }
+
+    /**
+     * Tries to validate a Discord Channel mention, ID or Name
+     * @param {string} args the input from where the channel gets extracted
+     * @private
+     */
+    _validateDiscord(args) {
+      /**
+       * @param {string} id
+       * @private
+       */
+      const getFullID = id => `${backend.getBotClientID().split("/")[0]}/${id}`
+      const match = args.match(/^<#(?<id>\d+)> *(?<rest>.*)$/)
+      if (match && match.groups) return [this._getChannelByID(getFullID(match.groups.id)), match.groups.rest]
+      return this._validateName(args, getFullID)
+    }
+
+    /**
+     * retrieves a channel by its id
+     * @param {string} id the id of the channel
+     * @private
+     */
+    _getChannelByID(id) {
+      const channel = backend.getChannelByID(id)
+      if (!channel) throw new ParseError("Channel not found!", this, "argument.channel.notfound")
+      return channel
+    }
+
+    /**
+     * Tries to find a channel by its ID or a (partial) name
+     * @param {string} args the input from where the channel gets extracted
+     * @param {(id: string) => string} getFullID converts a channel id to the id used by the backend
+     * @private
+     */
+    _validateName(args, getFullID) {
+      const { token, quoted, rest } = Tokenizer.next(args, this)
+      if (token.length === 0) throw new ParseError("Channel not found!", this, "argument.channel.notfound")
+      if (!quoted && (/^\d+$/).test(token)) {
+        const channel = backend.getChannelByID(getFullID(token))
+        if (channel) return [channel, rest]
+      }
+      const name = token.toLowerCase()
+      const channels = backend.getChannels()
+      let found = channels.filter(channel => channel.name().toLowerCase() === name)
+      if (found.length === 0) found = channels.filter(channel => channel.name().toLowerCase().includes(name))
+      if (found.length === 0) throw new ParseError("Channel not found!", this, "argument.channel.notfound")
+      if (found.length > 1) {
+        const names = found.map(channel => channel.name())
+        throw new AmbiguousError(`Channel name "${token}" is ambiguous, found ${names.join(", ")}`, this, names)
+      }
+      return [found[0], rest]
+    }
   }
 
   /**
@@ -653,7 +1727,9 @@ registerPlugin({
           return false
         }
       })
-      if (!valid) throw new ParseError(`No valid match found`, this)
+      const strictError = errors.find(e => e instanceof QuoteError || e instanceof AmbiguousError)
+      if (!valid && strictError) throw strictError
+      if (!valid) throw new ParseError(`No valid match found`, this, "argument.group.nomatch")
       return [resolved, args]
     }
 
@@ -700,165 +1776,730 @@ registerPlugin({
   }
 
   ////////////////////////////////////////////////////////////
-  ////                    Throttle                        ////
+  ////                  LOCALIZATION                      ////
+  ////////////////////////////////////////////////////////////
+
+  /**
+   * @name Translator
+   */
+  class Translator {
+
+    /**
+     * @param {string} locale the default locale
+     */
+    constructor(locale) {
+      /**
+       * @type {string}
+       * @private
+       */
+      this._locale = Translator.normalize(locale) || "en"
+      /**
+       * @type {Record<string, Record<string, string>>}
+       * @private
+       */
+      this._catalog = {}
+      /**
+       * @type {Record<string, string>}
+       * @private
+       */
+      this._clients = {}
+    }
+
+    /**
+     * normalizes a locale string
+     * @param {string} locale the locale which should be normalized
+     */
+    static normalize(locale) {
+      if (typeof locale !== "string") return ""
+      return locale.trim().toLowerCase()
+    }
+
+    /**
+     * sets the default locale which gets used when a client has no own locale set
+     * @param {string} locale the new default locale
+     */
+    setLocale(locale) {
+      locale = Translator.normalize(locale)
+      if (locale.length === 0) throw new Error("Expected a valid locale string!")
+      this._locale = locale
+      return this
+    }
+
+    /**
+     * retrieves the locale which should be used for a client
+     * @param {Client} [client] the client to retrieve the locale for
+     */
+    getLocale(client) {
+      if (client && this._clients[client.uid()]) return this._clients[client.uid()]
+      return this._locale
+    }
+
+    /**
+     * overrides the locale for a single client
+     * @param {Client|string} client the client or its uid
+     * @param {?string} locale the locale to use, null resets the client to the default locale
+     */
+    setClientLocale(client, locale) {
+      const uid = typeof client === "string" ? client : client.uid()
+      if (locale === null) {
+        Reflect.deleteProperty(this._clients, uid)
+      } else {
+        this._clients[uid] = Translator.normalize(locale)
+      }
+      return this
+    }
+
+    /**
+     * adds or overwrites translations for a locale
+     * @param {string} locale the locale the translations are for
+     * @param {Record<string, string>} translations key value pairs of translations
+     */
+    addTranslations(locale, translations) {
+      locale = Translator.normalize(locale)
+      if (locale.length === 0) throw new Error("Expected a valid locale string!")
+      this._catalog[locale] = { ...this._catalog[locale], ...translations }
+      return this
+    }
+
+    /**
+     * checks if a translation exists for the given key
+     * @param {string} key the translation key
+     * @param {string} [locale] the locale to search in
+     */
+    hasTranslation(key, locale = this._locale) {
+      const catalog = this._catalog[Translator.normalize(locale)]
+      return catalog !== undefined && typeof catalog[key] === "string"
+    }
+
+    /**
+     * translates a key, falls back to the default locale, then english and at last to the key itself
+     * placeholders in the form of {name} get replaced with the values from params
+     * @param {string} key the translation key or text
+     * @param {Record<string, any>} [params] values for the placeholders
+     * @param {string} [locale] the locale which should be used
+     */
+    translate(key, params = {}, locale = this._locale) {
+      const found = [Translator.normalize(locale), this._locale, "en"].find(l => this.hasTranslation(key, l))
+      const text = found === undefined ? key : this._catalog[found][key]
+      return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])))
+    }
+  }
+
+  ////////////////////////////////////////////////////////////
+  ////                    Throttle                        ////
+  ////////////////////////////////////////////////////////////
+
+  /**
+   * @name Throttle
+   */
+  class Throttle {
+
+    constructor() {
+      /**
+       * @type {Record<string, ThrottleInterface>}
+       * @private
+       */
+      this._throttled = {}
+      /**
+       * @type {number}
+       * @private
+       */
+      this._penalty = 1
+      /**
+       * @type {number}
+       * @private
+       */
+      this._initial = 1
+      /**
+       * @type {number}
+       * @private
+       */
+      this._restore = 1
+      /**
+       * @type {number}
+       * @private
+       */
+      this._tickrate = 1000
+      /**
+       * @type {"client"|"channel"|"server"|"global"|throttleScopeHandler}
+       * @private
+       */
+      this._scope = "client"
+      /**
+       * @type {?string}
+       * @private
+       */
+      this._storeKey = null
+    }
+
+    /**
+     * points get calculated from timestamps, there are no timers to clear anymore
+     * this method only exists for backwards compatibility
+     */
+    stop() {
+      return this
+    }
+
+    /**
+     * stores the throttle state in the store of the SinusBot
+     * so that throttled clients stay throttled after a restart or a reload of the scripts
+     * @param {string} name a unique name for this throttle
+     */
+    persistent(name) {
+      if (typeof name !== "string" || name.length === 0) throw new Error("Expected a unique name for the persistent throttle!")
+      this._storeKey = `throttle:${name}`
+      const stored = store.get(this._storeKey)
+      if (typeof stored === "object" && stored !== null) this._throttled = { ...stored, ...this._throttled }
+      this._save()
+      return this
+    }
+
+    /**
+     * saves all buckets which have not been restored completely
+     * @private
+     */
+    _save() {
+      if (this._storeKey === null) return
+      Object.keys(this._throttled).forEach(id => this._getBucket(id))
+      store.set(this._storeKey, this._throttled)
+    }
+
+    /**
+     * Defines how fast points will get restored
+     * @param {number} duration time in ms how fast points should get restored
+     */
+    tickRate(duration) {
+      this._tickrate = duration
+      return this
+    }
+
+    /**
+     * The amount of points a command request costs
+     * @param {number} amount the amount of points that should be reduduced
+     */
+    penaltyPerCommand(amount) {
+      this._penalty = amount
+      return this
+    }
+
+    /**
+     * The Amount of Points that should get restored per tick
+     * @param {number} amount the amount that should get restored
+     */
+    restorePerTick(amount) {
+      this._restore = amount
+      return this
+    }
+
+    /**
+     * Sets the initial Points a user has at beginning
+     * @param {number} initial the Initial amount of Points a user has
+     */
+    initialPoints(initial) {
+      this._initial = initial
+      return this
+    }
+
+    /**
+     * Defines which invocations share their points
+     * "client" throttles each client on its own (default)
+     * "channel" throttles all clients in the same channel together
+     * "server" throttles all clients on the same server or discord guild together
+     * "global" throttles all clients together
+     * a function receives the message event and returns the identifier of the bucket to use
+     * @param {"client"|"channel"|"server"|"global"|throttleScopeHandler} scope the scope of the throttle
+     */
+    scope(scope) {
+      if (typeof scope !== "function" && !["client", "channel", "server", "global"].includes(scope))
+        throw new Error(`Unknown throttle scope ${scope}, expected one of "client", "channel", "server", "global" or a function`)
+      this._scope = scope
+      return this
+    }
+
+    /**
+     * retrieves the identifier of the bucket for the given client and event
+     * scopes which depend on the event fall back to the client when no event is given
+     * a sinusbot instance only serves a single teamspeak server so the "server" scope shares one bucket there
+     * @param {Client} client the client which used the command
+     * @param {MessageEvent} [ev] the event from where the command has been sent
+     * @private
+     */
+    _getId(client, ev) {
+      if (typeof this._scope === "function") return ev ? String(this._scope(ev)) : client.uid()
+      switch (this._scope) {
+        case "global": return "global"
+        case "server":
+          if (engine.getBackend() !== "discord" || !ev || !ev.message) return "server"
+          return `server:${ev.message.guildID()}`
+        case "channel": return ev && ev.channel ? `channel:${ev.channel.id()}` : client.uid()
+        case "client":
+        default: return client.uid()
+      }
+    }
+
+    /**
+     * Reduces the given points for a Command for the given Client
+     * @param {Client} client the client which points should be removed
+     * @param {MessageEvent} [ev] the event from where the command has been sent, required for scopes other than "client"
+     */
+    throttle(client, ev) {
+      this._reducePoints(this._getId(client, ev))
+      return this.isThrottled(client, ev)
+    }
+
+    /**
+     * retrieves the bucket of an id with all points restored which elapsed since the last update
+     * buckets which have been restored completely get removed
+     * @param {string} id the identifier of the bucket
+     * @private
+     */
+    _getBucket(id) {
+      const throttle = this._throttled[id]
+      if (throttle === undefined) return undefined
+      const ticks = Math.floor((Date.now() - throttle.updated) / this._tickrate)
+      if (ticks > 0) {
+        throttle.points += ticks * this._restore
+        throttle.updated += ticks * this._tickrate
+      }
+      if (throttle.points < this._initial) return throttle
+      Reflect.deleteProperty(this._throttled, id)
+      return undefined
+    }
+
+    /**
+     * Removes points from an id
+     * @param {string} id the identifier which should be added
+     * @private
+     */
+    _reducePoints(id) {
+      const throttle = this._getBucket(id) || { points: this._initial, updated: 0 }
+      throttle.points -= this._penalty
+      throttle.updated = Date.now()
+      this._throttled[id] = throttle
+      this._save()
+    }
+
+    /**
+     * Checks if the given Client is affected by throttle limitations
+     * @param {Client} client the TeamSpeak Client which should get checked
+     * @param {MessageEvent} [ev] the event from where the command has been sent, required for scopes other than "client"
+     */
+    isThrottled(client, ev) {
+      const throttle = this._getBucket(this._getId(client, ev))
+      if (throttle === undefined) return false
+      return throttle.points <= 0
+    }
+
+    /**
+     * retrieves the time in milliseconds until a client can send his next command
+     * @param {Client} client the client which should be checked
+     * @param {MessageEvent} [ev] the event from where the command has been sent, required for scopes other than "client"
+     * @returns returns the time a client is throttled in ms
+     */
+    timeTillNextCommand(client, ev) {
+      const throttle = this._getBucket(this._getId(client, ev))
+      if (throttle === undefined) return 0
+      return throttle.updated + this._tickrate - Date.now()
+    }
+  }
+
+  ////////////////////////////////////////////////////////////
+  ////                      ACL                           ////
+  ////////////////////////////////////////////////////////////
+
+  /**
+   * Class representing the access rules configured in the instance settings
+   * a client gets denied when a matching deny rule applies to the client
+   * when allow rules match a command the client needs to match at least one of them
+   * @name AccessControlList
+   */
+  class AccessControlList {
+
+    /**
+     * @param {AccessRule[]} rules the configured rules
+     */
+    constructor(rules) {
+      /**
+       * @type {{ pattern: RegExp, deny: boolean, servergroups: string[], uids: string[], roles: string[] }[]}
+       * @private
+       */
+      this._rules = (Array.isArray(rules) ? rules : [])
+        .filter(rule => rule && typeof rule.commands === "string" && rule.commands.trim().length > 0)
+        .map(({ commands, mode, servergroups, uids, roles }) => ({
+          pattern: AccessControlList.createPattern(commands),
+          deny: mode === "1",
+          servergroups: AccessControlList.toList(servergroups),
+          uids: AccessControlList.toList(uids),
+          roles: AccessControlList.toList(roles).map(role => role.toLowerCase())
+        }))
+    }
+
+    /**
+     * converts a command name pattern to a regular expression
+     * @param {string} commands the pattern where * matches anything
+     * @private
+     */
+    static createPattern(commands) {
+      const pattern = commands.trim().toLowerCase()
+        .split(/\s+/)
+        .join(" ")
+        .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*")
+      return new RegExp(`^${pattern}$`)
+    }
+
+    /**
+     * converts a setting value to a list of trimmed strings
+     * @param {any} value
+     * @returns {string[]}
+     */
+    static toList(value) {
+      if (!Array.isArray(value)) return []
+      return value.map(item => String(item).trim()).filter(item => item.length > 0)
+    }
+
+    /** retrieves the amount of valid rules */
+    size() {
+      return this._rules.length
+    }
+
+    /**
+     * checks if a client is allowed to use a command
+     * @param {BaseCommand} cmd the command which should be checked
+     * @param {Client} client the client which wants to use the command
+     * @returns {boolean}
+     */
+    isAllowed(cmd, client) {
+      const path = cmd.getCommandPath().toLowerCase()
+      const rules = this._rules.filter(rule => rule.pattern.test(path))
+      if (rules.some(rule => rule.deny && AccessControlList.matches(rule, client))) return false
+      const allow = rules.filter(rule => !rule.deny)
+      return allow.length === 0 || allow.some(rule => AccessControlList.matches(rule, client))
+    }
+
+    /**
+     * checks if a rule applies to a client
+     * @param {{ servergroups: string[], uids: string[], roles: string[] }} rule the rule to check
+     * @param {Client} client the client to check
+     * @private
+     */
+    static matches({ servergroups, uids, roles }, client) {
+      if (uids.includes(client.uid())) return true
+      const groups = client.getServerGroups()
+      if (groups.some(group => servergroups.includes(group.id()))) return true
+      if (engine.getBackend() !== "discord") return false
+      return groups.some(role => roles.includes(role.id().toLowerCase()) || roles.includes(role.name().toLowerCase()))
+    }
+  }
+
+  ////////////////////////////////////////////////////////////
+  ////                   STATISTICS                       ////
   ////////////////////////////////////////////////////////////
 
   /**
-   * @name Throttle
+   * Class which records the usage of commands
+   * @name Statistics
    */
-  class Throttle {
+  class Statistics {
 
     constructor() {
       /**
-       * @type {Record<string, ThrottleInterface>}
-       * @private
-       */
-      this._throttled = {}
-      /**
-       * @type {number}
-       * @private
-       */
-      this._penalty = 1
-      /**
-       * @type {number}
-       * @private
-       */
-      this._initial = 1
-      /**
-       * @type {number}
+       * @type {Record<string, CommandUsage>}
        * @private
        */
-      this._restore = 1
+      this._usage = {}
       /**
-       * @type {number}
+       * @type {?string}
        * @private
        */
-      this._tickrate = 1000
+      this._storeKey = null
     }
 
-    /* clears all timers */
-    stop() {
-      Object.values(this._throttled).forEach(({ timeout }) => clearTimeout(timeout))
+    /**
+     * loads the recorded usage from the store and saves every new invocation
+     * the usage of each command gets saved in its own key so an invocation only rewrites its command
+     * @param {string} key the store key
+     */
+    persistent(key) {
+      this._storeKey = key
+      const commands = store.get(key)
+      if (!Array.isArray(commands)) return this
+      commands.forEach(command => {
+        const stored = store.get(`${key}:${command}`)
+        if (typeof stored === "object" && stored !== null && !this._usage[command]) this._usage[command] = stored
+      })
       return this
     }
 
     /**
-     * Defines how fast points will get restored
-     * @param {number} duration time in ms how fast points should get restored
+     * records a single invocation of a command
+     * @param {string} command the command path without prefix
+     * @param {Client} client the client which used the command
+     * @param {number} duration the execution time in milliseconds
+     * @param {any} [error] the error which has been thrown while executing the command
      */
-    tickRate(duration) {
-      this._tickrate = duration
+    record(command, client, duration, error) {
+      const known = Boolean(this._usage[command])
+      if (!known) this._usage[command] = { count: 0, success: 0, errors: {}, latencies: [], users: {} }
+      const usage = this._usage[command]
+      usage.count++
+      if (error === undefined) {
+        usage.success++
+      } else {
+        const name = error instanceof Error ? error.constructor.name : "Error"
+        usage.errors[name] = (usage.errors[name] || 0) + 1
+      }
+      usage.latencies = [...usage.latencies, duration].slice(-Statistics.LATENCY_SAMPLES)
+      const uid = client.uid()
+      usage.users[uid] = { name: client.name(), count: usage.users[uid] ? usage.users[uid].count + 1 : 1 }
+      const uids = Object.keys(usage.users)
+      if (uids.length > Statistics.MAX_USERS) {
+        const [least] = uids.sort((a, b) => usage.users[a].count - usage.users[b].count)
+        Reflect.deleteProperty(usage.users, least === uid ? uids[1] : least)
+      }
+      if (this._storeKey === null) return this
+      if (!known) store.set(this._storeKey, Object.keys(this._usage))
+      store.set(`${this._storeKey}:${command}`, usage)
       return this
     }
 
     /**
-     * The amount of points a command request costs
-     * @param {number} amount the amount of points that should be reduduced
+     * retrieves the statistics of a single command
+     * @param {string} command the command path without prefix
+     * @param {number} [users] the amount of top users to retrieve
+     * @returns {?CommandStats}
      */
-    penaltyPerCommand(amount) {
-      this._penalty = amount
-      return this
+    get(command, users = 5) {
+      const usage = this._usage[command]
+      if (!usage) return null
+      const latencies = [...usage.latencies].sort((a, b) => a - b)
+      return {
+        command,
+        count: usage.count,
+        success: usage.success,
+        failed: usage.count - usage.success,
+        errors: { ...usage.errors },
+        latency: {
+          min: latencies.length > 0 ? latencies[0] : 0,
+          avg: latencies.length > 0 ? Math.round(latencies.reduce((acc, curr) => acc + curr, 0) / latencies.length) : 0,
+          p50: Statistics.percentile(latencies, 50),
+          p90: Statistics.percentile(latencies, 90),
+          p99: Statistics.percentile(latencies, 99),
+          max: latencies.length > 0 ? latencies[latencies.length - 1] : 0
+        },
+        users: Object.keys(usage.users)
+          .map(uid => ({ uid, ...usage.users[uid] }))
+          .sort((a, b) => b.count - a.count)
+          .slice(0, users)
+      }
     }
 
     /**
-     * The Amount of Points that should get restored per tick
-     * @param {number} amount the amount that should get restored
+     * retrieves the statistics of all used commands sorted by their invocations
+     * @returns {CommandStats[]}
      */
-    restorePerTick(amount) {
-      this._restore = amount
-      return this
+    getAll() {
+      /** @type {CommandStats[]} */
+      const stats = []
+      Object.keys(this._usage).forEach(command => {
+        const entry = this.get(command)
+        if (entry !== null) stats.push(entry)
+      })
+      return stats.sort((a, b) => b.count - a.count)
     }
 
     /**
-     * Sets the initial Points a user has at beginning
-     * @param {number} initial the Initial amount of Points a user has
+     * removes the statistics of a single command or of all commands
+     * @param {string} [command] the command path without prefix
      */
-    initialPoints(initial) {
-      this._initial = initial
+    reset(command) {
+      const commands = command === undefined ? Object.keys(this._usage) : [command]
+      commands.forEach(name => Reflect.deleteProperty(this._usage, name))
+      if (this._storeKey === null) return this
+      const key = this._storeKey
+      commands.forEach(name => store.unset(`${key}:${name}`))
+      store.set(key, Object.keys(this._usage))
       return this
     }
 
     /**
-     * Reduces the given points for a Command for the given Client
-     * @param {Client} client the client which points should be removed
+     * calculates a percentile with the nearest rank method
+     * @param {number[]} sorted the ascending sorted values
+     * @param {number} percentile the percentile between 0 and 100
+     * @private
+     */
+    static percentile(sorted, percentile) {
+      if (sorted.length === 0) return 0
+      return sorted[Math.max(0, Math.ceil(percentile / 100 * sorted.length) - 1)]
+    }
+  }
+
+  /**
+   * amount of execution times which get kept per command
+   * @type {number}
+   */
+  Statistics.LATENCY_SAMPLES = 100
+
+  /**
+   * amount of clients which get tracked per command
+   * @type {number}
+   */
+  Statistics.MAX_USERS = 50
+
+  ////////////////////////////////////////////////////////////
+  ////                     AUDIT                          ////
+  ////////////////////////////////////////////////////////////
+
+  /**
+   * Class which stores the invocations of audited commands
+   * the entries get stored in pages, when the size has been exceeded the oldest page gets removed
+   * @name AuditLog
+   */
+  class AuditLog {
+
+    /**
+     * @param {number} size the amount of entries which should be kept at least
      */
-    throttle(client) {
-      this._reducePoints(client.uid())
-      return this.isThrottled(client)
+    constructor(size) {
+      /**
+       * @type {number}
+       * @private
+       */
+      this._pages = Math.max(1, Math.ceil(size / AuditLog.PAGE_SIZE)) + 1
+      /**
+       * @type {{ first: number, last: number }}
+       * @private
+       */
+      this._index = { first: 0, last: 0 }
+      /**
+       * @type {Record<number, AuditEntry[]>}
+       * @private
+       */
+      this._entries = { 0: [] }
+      /**
+       * @type {?string}
+       * @private
+       */
+      this._storeKey = null
     }
 
     /**
-     * Restores points from the given id
-     * @param {string} id the identifier for which the points should be stored
-     * @private
+     * loads the audit log from the store and saves every new entry
+     * @param {string} key the store key
      */
-    _restorePoints(id) {
-      const throttle = this._throttled[id]
-      if (throttle === undefined) return
-      throttle.points += this._restore
-      if (throttle.points >= this._initial) {
-        Reflect.deleteProperty(this._throttled, id)
-      } else {
-        this._refreshTimeout(id)
+    persistent(key) {
+      this._storeKey = key
+      const index = store.get(key)
+      if (typeof index !== "object" || index === null) return this._saveIndex()
+      this._index = index
+      this._entries = {}
+      for (let page = index.first; page <= index.last; page++) {
+        const entries = store.get(`${key}:${page}`)
+        this._entries[page] = Array.isArray(entries) ? entries : []
       }
+      return this._rotate()
     }
 
     /**
-     * Resets the timeout counter for a stored id
-     * @param {string} id the identifier which should be added
-     * @private
+     * adds an entry to the audit log
+     * @param {AuditEntry} entry the entry which should be added
      */
-    _refreshTimeout(id) {
-      if (this._throttled[id] === undefined) return
-      clearTimeout(this._throttled[id].timeout)
-      // @ts-ignore
-      this._throttled[id].timeout = setTimeout(this._restorePoints.bind(this, id), this._tickrate)
-      this._throttled[id].next = Date.now() + this._tickrate
+    add(entry) {
+      if (this._entries[this._index.last].length >= AuditLog.PAGE_SIZE) {
+        this._index.last++
+        this._entries[this._index.last] = []
+        this._rotate()
+      }
+      this._entries[this._index.last].push(entry)
+      if (this._storeKey !== null) store.set(`${this._storeKey}:${this._index.last}`, this._entries[this._index.last])
+      return this
     }
 
     /**
-     * Removes points from an id
-     * @param {string} id the identifier which should be added
+     * retrieves the newest entries first
+     * @param {object} [filter]
+     * @param {string} [filter.uid] only retrieve entries of the client with this uid or name
+     * @param {string} [filter.command] only retrieve entries of this command and its subcommands
+     * @param {number} [filter.limit] the maximum amount of entries to retrieve
+     * @returns {AuditEntry[]}
+     */
+    query(filter = {}) {
+      const { uid, command, limit = 10 } = filter
+      /**
+       * @type {AuditEntry[]}
+       * @private
+       */
+      const found = []
+      for (let page = this._index.last; page >= this._index.first && found.length < limit; page--) {
+        found.push(...this._entries[page]
+          .filter(entry => uid === undefined || entry.uid === uid || entry.name.toLowerCase() === uid.toLowerCase())
+          .filter(entry => command === undefined || entry.command === command || entry.command.startsWith(`${command} `))
+          .reverse())
+      }
+      return found.slice(0, limit)
+    }
+
+    /**
+     * removes the oldest pages when the maximum amount of pages has been exceeded
      * @private
      */
-    _reducePoints(id) {
-      const throttle = this._createIdIfNotExists(id)
-      throttle.points -= this._penalty
-      this._refreshTimeout(id)
+    _rotate() {
+      while (this._index.last - this._index.first + 1 > this._pages) {
+        Reflect.deleteProperty(this._entries, this._index.first)
+        if (this._storeKey !== null) store.unset(`${this._storeKey}:${this._index.first}`)
+        this._index.first++
+      }
+      return this._saveIndex()
     }
 
     /**
-     * creates the identifier in the throttled object
-     * @param {string} id the identifier which should be added
+     * saves the first and last page of the audit log
      * @private
      */
-    _createIdIfNotExists(id) {
-      if (Object.keys(this._throttled).includes(id)) return this._throttled[id]
-      this._throttled[id] = { points: this._initial, next: 0, timeout: 0 }
-      return this._throttled[id]
+    _saveIndex() {
+      if (this._storeKey !== null) store.set(this._storeKey, this._index)
+      return this
     }
 
     /**
-     * Checks if the given Client is affected by throttle limitations
-     * @param {Client} client the TeamSpeak Client which should get checked
+     * retrieves the name of the error class with its message
+     * @param {any} error the error which has been thrown
+     * @returns {string}
      */
-    isThrottled(client) {
-      const throttle = this._throttled[client.uid()]
-      if (throttle === undefined) return false
-      return throttle.points <= 0
+    static describeError(error) {
+      if (error && typeof error.message === "string") return `${error.constructor ? error.constructor.name : "Error"}: ${error.message}`
+      return String(error)
     }
 
     /**
-     * retrieves the time in milliseconds until a client can send his next command
-     * @param {Client} client the client which should be checked
-     * @returns returns the time a client is throttled in ms
+     * converts parsed arguments to values which can be stored
+     * @param {any} value the value to convert
+     * @returns {any}
      */
-    timeTillNextCommand(client) {
-      if (this._throttled[client.uid()] === undefined) return 0
-      return this._throttled[client.uid()].next - Date.now()
+    static serialize(value) {
+      if (value === null || ["string", "number", "boolean", "undefined"].includes(typeof value)) return value
+      if (Array.isArray(value)) return value.map(AuditLog.serialize)
+      if (typeof value.uid === "function") return value.uid()
+      if (typeof value.id === "function") return value.id()
+      if (typeof value === "object") {
+        /**
+         * @type {Record<string, any>}
+         * @private
+         */
+        const result = {}
+        Object.keys(value).forEach(key => result[key] = AuditLog.serialize(value[key]))
+        return result
+      }
+      return String(value)
     }
   }
 
+  /**
+   * amount of entries which get stored in a single page
+   * @type {number}
+   */
+  AuditLog.PAGE_SIZE = 100
+
   ////////////////////////////////////////////////////////////
   ////                    COMMAND                         ////
   ////////////////////////////////////////////////////////////
@@ -871,28 +2512,39 @@ registerPlugin({
     /**
      * @param {string} cmd
      * @param {Collector} collector
+     * @param {?CommandGroup} [parent]
      */
-    constructor(cmd, collector) {
+    constructor(cmd, collector, parent = null) {
       /**
        * @type {Collector}
        * @protected
        */
       this._collector = collector
+      /**
+       * @type {?CommandGroup}
+       * @private
+       */
+      this._parent = parent
       /**
        * @type {permissionHandler[]}
        * @private
        */
       this._permissionHandler = []
+      /**
+       * @type {CommandRequirement[]}
+       * @private
+       */
+      this._requirements = []
       /**
        * @type {execHandler[]}
        * @protected
        */
       this._execHandler = []
       /**
-       * @type {string}
+       * @type {string[]}
        * @private
        */
-      this._prefix = ""
+      this._prefixes = []
       /**
        * @type {string}
        * @private
@@ -923,6 +2575,41 @@ registerPlugin({
        * @private
        */
       this._alias = []
+      /**
+       * @type {middlewareHandler[]}
+       * @private
+       */
+      this._middleware = []
+      /**
+       * @type {errorHandler[]}
+       * @private
+       */
+      this._errorHandler = []
+      /**
+       * @type {boolean}
+       * @private
+       */
+      this._audit = false
+      /**
+       * @type {?{ message: string|((args: Record<string, any>) => string), timeout: number }}
+       * @private
+       */
+      this._confirmation = null
+      /**
+       * @type {?string}
+       * @private
+       */
+      this._category = null
+      /**
+       * @type {?string[]}
+       * @private
+       */
+      this._chats = null
+      /**
+       * @type {?string[]}
+       * @private
+       */
+      this._channels = null
     }
 
     /**
@@ -954,9 +2641,9 @@ registerPlugin({
     /**
      * @abstract
      * @param {string} args
-     * @param {MessageEvent} ev
+     * @param {CommandContext} ctx
      */
-    dispatch(args, ev) {
+    dispatch(args, ctx) {
       throw new Error("not implemented")
     }
 
@@ -1007,9 +2694,34 @@ registerPlugin({
       return `${this.getPrefix()}${this.getCommandName()}`
     }
 
-    /** retrieves all registered alias names with prefix */
+    /** retrieves the CommandGroup this command belongs to, null for top level commands */
+    getParent() {
+      return this._parent
+    }
+
+    /**
+     * retrieves the names of all parent CommandGroups and this command separated by spaces
+     * @returns {string}
+     */
+    getCommandPath() {
+      if (this._parent === null) return this.getCommandName()
+      return `${this._parent.getCommandPath()} ${this.getCommandName()}`
+    }
+
+    /**
+     * retrieves the command path with the prefix of the top level command
+     * @returns {string}
+     */
+    getFullCommandPath() {
+      if (this._parent === null) return this.getFullCommandName()
+      return `${this._parent.getFullCommandPath()} ${this.getCommandName()}`
+    }
+
+    /** retrieves all registered alias names with each prefix */
     getFullAlias() {
-      return this._alias.map(a => `${this.getPrefix()}${a}`)
+      return this.getPrefixes()
+        .map(prefix => this._alias.map(a => `${prefix}${a}`))
+        .reduce((acc, curr) => [...acc, ...curr], [])
     }
 
     /** retrieves all registered command names */
@@ -1017,18 +2729,25 @@ registerPlugin({
       return [this.getCommandName(), ...this.getAlias()]
     }
 
-    /** retrieves all registered command names with prefix */
+    /** retrieves all registered command names with each prefix */
     getFullCommandNames() {
-      return [this.getFullCommandName(), ...this.getFullAlias()]
+      return [
+        ...this.getPrefixes().map(prefix => `${prefix}${this.getCommandName()}`),
+        ...this.getFullAlias()
+      ]
     }
 
-    /** retrieves the help text */
-    getHelp() {
-      return this._help
+    /**
+     * retrieves the help text
+     * @param {string} [locale] the locale the help text should get translated to
+     */
+    getHelp(locale) {
+      return translator.translate(this._help, {}, locale)
     }
 
     /**
      * sets a help text (should be a very brief description)
+     * a translation key registered via addTranslations can be used instead of a text
      * @param {string} text help text
      */
     help(text) {
@@ -1041,9 +2760,14 @@ registerPlugin({
       return this._help !== ""
     }
 
-    /** retrieves the current manual text */
-    getManual() {
-      return this._manual.join("\r\n")
+    /**
+     * retrieves the current manual text
+     * the placeholder {command} gets replaced with the command and its current prefix
+     * @param {string} [locale] the locale the manual text should get translated to
+     */
+    getManual(locale) {
+      const command = this.getFullCommandPath()
+      return this._manual.map(text => translator.translate(text, { command }, locale)).join("\r\n")
     }
 
     /** returns a boolean wether a help text has been set or not */
@@ -1052,22 +2776,33 @@ registerPlugin({
     }
 
     /**
-     * @param {string} prefix the new prefix to set
+     * sets the prefixes of this command which get used instead of the global prefixes
+     * the first prefix gets displayed in the help and man command
+     * @param {...(string|string[])} prefixes the new prefixes to set
      */
-    forcePrefix(prefix) {
-      this._prefix = prefix
+    forcePrefix(...prefixes) {
+      this._prefixes = prefixes
+        .reduce((/** @type {string[]} */ acc, curr) => acc.concat(curr), [])
+        .filter(prefix => typeof prefix === "string" && prefix.length > 0)
       return this
     }
 
-    /** gets the current prefix for this command */
+    /** gets the prefix which gets displayed for this command */
     getPrefix() {
-      if (this._prefix.length > 0) return this._prefix
-      return Collector.getCommandPrefix()
+      return this.getPrefixes()[0]
+    }
+
+    /** gets all prefixes which can be used for this command */
+    getPrefixes() {
+      if (this._prefixes.length > 0) return this._prefixes
+      return Collector.getCommandPrefixes()
     }
 
     /**
      * sets a manual text, this function can be called multiple times
      * in order to create a multilined manual text
+     * a translation key registered via addTranslations can be used instead of a text
+     * the placeholder {command} can be used to refer to the command with its current prefix
      * @param {string} text the manual text
      */
     manual(text) {
@@ -1102,16 +2837,16 @@ registerPlugin({
     }
 
     /**
-     * @param {Client} client the sinusbot client
+     * @param {MessageEvent} ev the event from where the command has been sent
      * @private
      */
-    _handleThrottle(client) {
+    _handleThrottle(ev) {
       if (!(this._throttle instanceof Throttle)) return
-      if (this._throttle.isThrottled(client)) {
-        const time = (this._throttle.timeTillNextCommand(client) / 1000).toFixed(1)
-        throw new ThrottleError(`You can use this command again in ${time} seconds!`)
+      if (this._throttle.isThrottled(ev.client, ev)) {
+        const time = (this._throttle.timeTillNextCommand(ev.client, ev) / 1000).toFixed(1)
+        throw new ThrottleError(translator.translate("error.throttle", { time }, translator.getLocale(ev.client)))
       } else {
-        this._throttle.throttle(client)
+        this._throttle.throttle(ev.client, ev)
       }
     }
 
@@ -1124,29 +2859,253 @@ registerPlugin({
       return this
     }
 
+    /**
+     * requires the client to be in at least one of the given server groups
+     * @param {...(string|number)} groups the server group ids
+     */
+    requireServerGroup(...groups) {
+      const ids = groups.map(String)
+      this._requirements.push({ type: "servergroup", values: ids })
+      return this.checkPermission(client => client.getServerGroups().some(group => ids.includes(group.id())))
+    }
+
+    /**
+     * requires the client to be in one of the given channel groups
+     * @param {...(string|number)} groups the channel group ids
+     */
+    requireChannelGroup(...groups) {
+      const ids = groups.map(String)
+      this._requirements.push({ type: "channelgroup", values: ids })
+      return this.checkPermission(client => {
+        const group = client.getChannelGroup()
+        return Boolean(group) && ids.includes(group.id())
+      })
+    }
+
+    /**
+     * requires the client to have one of the given uids
+     * @param {...string} uids the uids of the allowed clients
+     */
+    requireUid(...uids) {
+      this._requirements.push({ type: "uid", values: uids })
+      return this.checkPermission(client => uids.includes(client.uid()))
+    }
+
+    /**
+     * requires the client to have at least one of the given discord roles
+     * on other backends than discord the command can not be used
+     * @param {...string} roles the role ids or role names
+     */
+    requireRole(...roles) {
+      const names = roles.map(role => role.toLowerCase())
+      this._requirements.push({ type: "role", values: roles })
+      return this.checkPermission(client => {
+        if (engine.getBackend() !== "discord") return false
+        return client.getServerGroups().some(role => roles.includes(role.id()) || names.includes(role.name().toLowerCase()))
+      })
+    }
+
+    /** retrieves the requirements of all parent CommandGroups and this command */
+    getRequirements() {
+      /**
+       * @type {CommandRequirement[]}
+       * @private
+       */
+      const parent = this._parent === null ? [] : this._parent.getRequirements()
+      return [...parent, ...this._requirements]
+    }
+
     /**
      * checks if a client is allowed to use this command
      * this is the low level method to check permissions for a single command
+     * the access rules of the instance settings get checked before the permission handlers
      * @param {Client} client sinusbot client to check permissions from
      */
     isAllowed(client) {
+      if (!acl.isAllowed(this, client)) return Promise.resolve(false)
       return Promise.all(this._permissionHandler.map(cb => cb(client)))
         .then(res => res.every(r => r))
     }
 
+    /**
+     * registers a middleware which runs after the arguments have been parsed and before the command gets executed
+     * middlewares of a CommandGroup also run for all of its sub commands
+     * @param {middlewareHandler} callback the middleware which should be added
+     */
+    use(callback) {
+      this._middleware.push(callback)
+      return this
+    }
+
+    /**
+     * writes every invocation of this command to the audit log
+     * when used on a CommandGroup all of its sub commands get audited
+     * @param {boolean} [enabled] wether the command should be audited
+     */
+    audit(enabled = true) {
+      this._audit = enabled
+      return this
+    }
+
+    /**
+     * checks if this command or one of its parent CommandGroups gets audited
+     * @returns {boolean}
+     */
+    isAudited() {
+      if (this._audit) return true
+      return this._parent !== null && this._parent.isAudited()
+    }
+
+    /**
+     * sets the category of the command which gets used to group the commands in the help command
+     * the category of a CommandGroup also applies to its sub commands
+     * @param {string} name the name of the category
+     */
+    category(name) {
+      if (typeof name !== "string" || !(/^\S+$/).test(name)) throw new Error("Name of a category should not be empty or contain spaces")
+      this._category = name.toLowerCase()
+      return this
+    }
+
+    /**
+     * retrieves the category of this command or of its parent CommandGroups, null when none has been set
+     * @returns {?string}
+     */
+    getCategory() {
+      if (this._category !== null) return this._category
+      return this._parent === null ? null : this._parent.getCategory()
+    }
+
+    /**
+     * restricts the command to the given chats
+     * restrictions of a CommandGroup also apply to its sub commands
+     * @param {...("private"|"channel"|"server")} chats the chats the command can be used in
+     */
+    allowIn(...chats) {
+      const invalid = chats.filter(chat => !Object.keys(BaseCommand.CHATS).includes(chat))
+      if (invalid.length > 0) throw new Error(`Invalid chat "${invalid[0]}", allowed are ${Object.keys(BaseCommand.CHATS).join(", ")}`)
+      this._chats = chats
+      return this
+    }
+
+    /**
+     * restricts the command to the chat of the given channels
+     * restrictions of a CommandGroup also apply to its sub commands
+     * @param {...string} ids the ids of the channels the command can be used in
+     */
+    onlyInChannels(...ids) {
+      this._channels = ids.map(String)
+      return this
+    }
+
+    /**
+     * retrieves the chats this command or its nearest restricted parent CommandGroup is allowed in
+     * @returns {string[]}
+     */
+    getChats() {
+      if (this._chats !== null) return this._chats
+      return this._parent === null ? [] : this._parent.getChats()
+    }
+
+    /**
+     * retrieves the channel ids this command or its nearest restricted parent CommandGroup is allowed in
+     * @returns {string[]}
+     */
+    getChannels() {
+      if (this._channels !== null) return this._channels
+      return this._parent === null ? [] : this._parent.getChannels()
+    }
+
+    /**
+     * checks if the command can be used in the chat a message has been sent in
+     * the restrictions of the parent CommandGroups get checked first
+     * @param {MessageEvent|CommandContext} event the event of the message
+     * @returns {boolean}
+     */
+    isAvailableIn(event) {
+      if (this._parent !== null && !this._parent.isAvailableIn(event)) return false
+      if (this._chats !== null && !this._chats.some(chat => BaseCommand.CHATS[chat] === event.mode)) return false
+      if (this._channels === null) return true
+      if (event.mode !== 2 || !event.channel) return false
+      const id = event.channel.id()
+      return this._channels.some(channel => channel === id || channel === id.split("/").pop())
+    }
+
+    /**
+     * requires the client to confirm the execution of this command
+     * the parsed arguments get held back until the client confirms with the confirm command
+     * when the command has not been confirmed within the timeout it gets discarded
+     * @param {string|((args: Record<string, any>) => string)} message the message or a translation key which gets sent to the client, a function receives the parsed arguments
+     * @param {number} [timeout] time in milliseconds to wait for the confirmation
+     */
+    requireConfirmation(message, timeout = 30 * 1000) {
+      this._confirmation = { message, timeout }
+      return this
+    }
+
+    /** retrieves the middlewares of all parent CommandGroups and this command */
+    getMiddleware() {
+      /**
+       * @type {middlewareHandler[]}
+       * @private
+       */
+      const parent = this._parent === null ? [] : this._parent.getMiddleware()
+      return [...parent, ...this._middleware]
+    }
+
+    /**
+     * registers an error handler which gets called when an error occurs while dispatching this command
+     * error handlers of a CommandGroup also get called for errors of its sub commands
+     * @param {errorHandler} callback the error handler which should be added
+     */
+    onError(callback) {
+      this._errorHandler.push(callback)
+      return this
+    }
+
+    /** retrieves the error handlers of this command followed by the ones of its parent CommandGroups */
+    getErrorHandler() {
+      /**
+       * @type {errorHandler[]}
+       * @private
+       */
+      const parent = this._parent === null ? [] : this._parent.getErrorHandler()
+      return [...this._errorHandler, ...parent]
+    }
+
     /**
      * dispatches a command
      * @protected
-     * @param {CommanderTextMessage} ev
+     * @param {CommandContext} ctx
      */
-    async _dispatchCommand(ev) {
-      if (!(await this.hasPermission(ev.client)))
+    async _dispatchCommand(ctx) {
+      if (!(await this.hasPermission(ctx.client)))
         throw new PermissionError("no permission to execute this command")
-      this._handleThrottle(ev.client)
-      this._execHandler.forEach(handle => handle(ev.client, ev.arguments, ev.reply, ev.raw))
+      if (!this.isAvailableIn(ctx))
+        throw new ChatRestrictionError("command is not available in this chat", this.getChats(), this.getChannels())
+      await Collector.runMiddleware(this.getMiddleware(), ctx, async () => {
+        //throttled clients should not be asked for a confirmation
+        this._handleThrottle(ctx)
+        if (this._confirmation !== null) {
+          const { message, timeout } = this._confirmation
+          const text = typeof message === "function" ? message(ctx.arguments) : translator.translate(message, ctx.arguments, translator.getLocale(ctx.client))
+          await this._collector.awaitConfirmation(ctx, text, timeout)
+        }
+        await Promise.all(this._execHandler.map(handle => handle(ctx.client, ctx.arguments, ctx.reply, ctx.raw, ctx)))
+      })
     }
   }
 
+  /**
+   * chat modes of the message events by the name of the chat
+   * @type {Record<string, number>}
+   */
+  BaseCommand.CHATS = {
+    private: 1,
+    channel: 2,
+    server: 3
+  }
+
   /**
    * @name Command
    */
@@ -1155,14 +3114,20 @@ registerPlugin({
     /**
      * @param {string} cmd
      * @param {Collector} collector
+     * @param {?CommandGroup} [parent]
      */
-    constructor(cmd, collector) {
-      super(cmd, collector)
+    constructor(cmd, collector, parent = null) {
+      super(cmd, collector, parent)
       /**
        * @type {Argument[]}
        * @private
        */
       this._arguments = []
+      /**
+       * @type {CommandOption[]}
+       * @private
+       */
+      this._options = []
     }
 
     /**
@@ -1170,7 +3135,20 @@ registerPlugin({
      * @returns retrieves the complete usage of the command with its argument names
      */
     getUsage() {
-      return `${this.getCommandName()} ${this.getArguments().map(arg => arg.getManual()).join(" ")}`
+      return `${this.getCommandName()} ${[
+        ...this.getArguments().map(arg => arg.getManual()),
+        ...this.getOptions().map(option => Command.getOptionManual(option))
+      ].join(" ")}`
+    }
+
+    /**
+     * retrieves the usage of a single option
+     * @param {CommandOption} option the option to get the usage from
+     */
+    static getOptionManual({ name, short, argument }) {
+      const names = [`--${name}`, ...(short ? [`-${short}`] : [])].join("|")
+      if (argument === null) return `[${names}]`
+      return `[${names} <${argument.getDisplayName()}>]`
     }
 
     /**
@@ -1197,27 +3175,132 @@ registerPlugin({
       return this._arguments
     }
 
+    /**
+     * adds a named option to the command which can be used at any position as --name value or -n value
+     * the name of the argument is used as name of the option
+     * @param {createArgumentHandler|Argument} arg the argument which parses the value of the option
+     * @param {string} [short] a single character which can be used as short name of the option
+     */
+    addOption(arg, short) {
+      if (typeof arg === "function") arg = arg(Argument.createArgumentLayer())
+      if (!(arg instanceof Argument)) throw new Error(`Typeof arg should be function or instance of Argument but got ${arg}`)
+      return this._addOption(arg.getName(), short, arg)
+    }
+
+    /**
+     * adds a boolean switch to the command which can be used at any position as --name or -n
+     * the value inside the exec function is true when the flag has been used otherwise false
+     * @param {string} name the name of the flag
+     * @param {string} [short] a single character which can be used as short name of the flag
+     */
+    flag(name, short) {
+      if (typeof name !== "string" || !name.match(/^[a-z0-9_]+$/i)) throw new Error("Name of a flag should contain only chars A-z, 0-9 and _")
+      return this._addOption(name, short, null)
+    }
+
+    /**
+     * @param {string} name
+     * @param {string|undefined} short
+     * @param {?Argument} argument
+     * @private
+     */
+    _addOption(name, short, argument) {
+      if (short !== undefined && !(/^[a-z]$/i).test(short)) throw new Error("Short name of an option should be a single char A-z")
+      if (this._options.some(option => option.name === name || (short !== undefined && option.short === short)))
+        throw new Error(`Option with name "${name}" has already been added to Command ${this.getCommandName()}`)
+      this._options.push({ name, short: short === undefined ? null : short, argument })
+      return this
+    }
+
+    /** retrieves all available options */
+    getOptions() {
+      return this._options
+    }
+
     /**
      * Validates the command
      * @param {string} args the arguments from the command which should be validated
      */
     validate(args) {
-      const { result, errors, remaining } = this.validateArgs(args)
+      const { options, remaining: positional } = this.validateOptions(args)
+      const { result, errors, remaining } = this.validateArgs(positional)
       if (remaining.length > 0) throw new TooManyArgumentsError(`Too many argument!`, errors.shift())
-      return result
+      return { ...result, ...options }
     }
 
     /**
-     * @param {string} args
-     * @param {MessageEvent} ev
+     * extracts all options from the given input string
+     * returns the parsed options and the input without options
+     * @param {string} args the string which should get validated
      */
-    dispatch(args, ev) {
-      return this._dispatchCommand({
-        ...ev,
-        arguments: this.validate(args),
-        reply: Collector.getReplyOutput(ev),
-        raw: ev
+    validateOptions(args) {
+      /**
+       * @type {Record<string, any>}
+       * @private
+       */
+      const options = {}
+      this.getOptions().forEach(({ name, argument }) => {
+        options[name] = argument === null ? false : argument.getDefault()
       })
+      if (this.getOptions().length === 0) return { options, remaining: args }
+      /**
+       * @type {string[]}
+       * @private
+       */
+      const positional = []
+      let input = args
+      while (input.trim().length > 0) {
+        const { token, quoted, unterminated, start, end, rest } = Tokenizer.read(input)
+        //leave unterminated quotes to the positional arguments
+        if (unterminated !== null) break
+        if (!quoted && token === "--") {
+          input = rest
+          break
+        }
+        const option = quoted ? undefined : this._findOption(token)
+        if (option === undefined) {
+          positional.push(input.slice(start, end))
+          input = input.slice(end)
+        } else if (option.argument === null) {
+          options[option.name] = true
+          input = rest
+        } else {
+          const inline = token.indexOf("=")
+          const [value, remaining] = option.argument.validate(inline >= 0 ? token.slice(inline + 1) : rest)
+          options[option.name] = value
+          input = inline >= 0 ? rest : remaining
+        }
+      }
+      return { options, remaining: [...positional, input.trim()].join(" ").trim() }
+    }
+
+    /**
+     * searches the option which is referenced by a token like --name, --name=value or -n
+     * @param {string} token the token to search the option for
+     * @private
+     */
+    _findOption(token) {
+      const long = token.match(/^--(?<name>[a-z0-9_]+)(=.*)?$/i)
+      if (long && long.groups) {
+        const { name } = long.groups
+        return this._options.find(option => option.name === name)
+      }
+      const short = token.match(/^-(?<short>[a-z])$/i)
+      if (short && short.groups) {
+        const { short: name } = short.groups
+        return this._options.find(option => option.short === name)
+      }
+      return undefined
+    }
+
+    /**
+     * @param {string} args
+     * @param {CommandContext} ctx
+     */
+    dispatch(args, ctx) {
+      ctx.command = this
+      ctx.arguments = this.validate(args)
+      return this._dispatchCommand(ctx)
     }
 
     /**
@@ -1242,7 +3325,7 @@ registerPlugin({
           result[arg.getName()] = val
           return args = rest.trim()
         } catch (e) {
-          if (e instanceof ParseError && arg.isOptional()) {
+          if (e instanceof ParseError && !(e instanceof QuoteError || e instanceof AmbiguousError) && arg.isOptional()) {
             result[arg.getName()] = arg.getDefault()
             return errors.push(e)
           }
@@ -1262,11 +3345,12 @@ registerPlugin({
     /**
      * @param {string} cmd
      * @param {Collector} collector
+     * @param {?CommandGroup} [parent]
      */
-    constructor(cmd, collector) {
-      super(cmd, collector)
+    constructor(cmd, collector, parent = null) {
+      super(cmd, collector, parent)
       /**
-       * @type {Command[]}
+       * @type {BaseCommand[]}
        * @private
        */
       this._commands = []
@@ -1277,7 +3361,7 @@ registerPlugin({
      * @returns retrieves the complete usage of the command with its argument names
      */
     getUsage() {
-      return `${this.getFullCommandName()} ${this._commands.map(cmd => cmd.getCommandName()).join("|")}`
+      return `${this.getFullCommandPath()} ${this._commands.map(cmd => cmd.getCommandName()).join("|")}`
     }
 
     /**
@@ -1297,8 +3381,22 @@ registerPlugin({
     addCommand(name) {
       name = name.toLowerCase()
       if (!Collector.isValidCommandName(name)) throw new Error("Can not create a command with length of 0")
-      const cmd = new Command(name, this._collector)
+      const cmd = new Command(name, this._collector, this)
       this._commands.push(cmd)
+      this._collector.applyState(cmd)
+      return cmd
+    }
+
+    /**
+     * Adds a new CommandGroup to the group which can hold its own sub commands
+     * @param {string} name the name of the CommandGroup which should be added
+     */
+    addCommandGroup(name) {
+      name = name.toLowerCase()
+      if (!Collector.isValidCommandName(name)) throw new Error("Can not create a command with length of 0")
+      const cmd = new CommandGroup(name, this._collector, this)
+      this._commands.push(cmd)
+      this._collector.applyState(cmd)
       return cmd
     }
 
@@ -1308,20 +3406,26 @@ registerPlugin({
      */
     findCommandByName(name) {
       name = name.toLowerCase()
-      if (name.length === 0) throw new CommandNotFoundError(`No subcommand specified for Command ${this.getFullCommandName()}`)
-      const cmd = this._commands.find(c => c.getCommandNames().includes(name))
-      if (!cmd) throw new CommandNotFoundError(`Command with name "${name}" has not been found on Command ${this.getFullCommandName()}!`)
+      if (name.length === 0) throw new CommandNotFoundError(`No subcommand specified for Command ${this.getFullCommandPath()}`, "error.subcommand.missing", { command: this.getFullCommandPath() })
+      const cmd = this._commands.find(c => c.isEnabled() && c.getCommandNames().includes(name))
+      if (!cmd) throw new CommandNotFoundError(`Command with name "${name}" has not been found on Command ${this.getFullCommandPath()}!`, "error.subcommand.notfound", { name, command: this.getFullCommandPath() })
       return cmd
     }
 
+    /** retrieves all subcommands including the disabled ones */
+    getCommands() {
+      return this._commands
+    }
+
     /**
      * retrievel all available subcommands
      * @param {Client} [client] the sinusbot client for which the commands should be retrieved if none has been omitted it will retrieve all available commands
      * @param {string} [cmd] the command which should be searched for
      */
     getAvailableCommands(client, cmd) {
+      if (cmd) cmd = cmd.toLowerCase()
       const cmds = this._commands
-        .filter(c => c.getCommandName() === cmd || !cmd)
+        .filter(c => !cmd || c.getCommandNames().includes(cmd))
         .filter(c => c.isEnabled())
       if (!client) return Promise.resolve(cmds)
       return Collector.checkPermissions(cmds, client)
@@ -1329,21 +3433,37 @@ registerPlugin({
 
     /**
      * @param {string} args
-     * @param {MessageEvent} ev
+     * @param {CommandContext} ctx
      */
-    async dispatch(args, ev) {
-      const [cmd, ...rest] = args.split(" ")
-      if (!await this.hasPermission(ev.client))
+    async dispatch(args, ctx) {
+      const { token: cmd, rest } = Tokenizer.read(args)
+      ctx.command = this
+      ctx.arguments = {}
+      if (!await this.hasPermission(ctx.client))
         throw new PermissionError("not enough permission to execute this command")
-      if (cmd.length === 0) {
-        return this._dispatchCommand({
-          ...ev,
-          arguments: {},
-          reply: Collector.getReplyOutput(ev),
-          raw: ev
-        })
+      if (cmd.length === 0) return this._dispatchCommand(ctx)
+      return (await this._findCommandWithSuggestions(cmd, ctx.client)).dispatch(rest, ctx)
+    }
+
+    /**
+     * retrieves a subcommand by its name
+     * when it has not been found the thrown error holds similar subcommand names the client is allowed to use
+     * @param {string} name the name which should be searched for
+     * @param {Client} client the client which requested the subcommand
+     * @private
+     */
+    async _findCommandWithSuggestions(name, client) {
+      try {
+        return this.findCommandByName(name)
+      } catch (e) {
+        if (!(e instanceof CommandNotFoundError)) throw e
+        const names = (await this.getAvailableCommands(client))
+          .map(cmd => cmd.getCommandNames())
+          .reduce((acc, curr) => [...acc, ...curr], [])
+        e.suggestions = Collector.getSimilar(name, names)
+          .map(similar => `${this.getFullCommandPath()} ${similar}`)
+        throw e
       }
-      return this.findCommandByName(cmd).dispatch(rest.join(" "), ev)
     }
   }
 
@@ -1363,16 +3483,451 @@ registerPlugin({
        * @private
       */
       this._commands = []
+      /**
+       * @type {middlewareHandler[]}
+       * @private
+      */
+      this._middleware = []
+      /**
+       * @type {errorHandler[]}
+       * @private
+      */
+      this._errorHandler = []
+      /**
+       * @type {string[]}
+       * @private
+      */
+      this._disabled = []
+      /**
+       * @type {?string}
+       * @private
+      */
+      this._stateKey = null
+      /**
+       * @type {Statistics}
+       * @private
+      */
+      this._statistics = new Statistics()
+      /**
+       * @type {AuditLog}
+       * @private
+      */
+      this._auditLog = new AuditLog(typeof AUDIT_SIZE === "number" && AUDIT_SIZE > 0 ? AUDIT_SIZE : 1000)
+      /**
+       * @type {Record<string, PendingPrompt>}
+       * @private
+      */
+      this._prompts = {}
+      /**
+       * @type {Record<string, PendingConfirmation>}
+       * @private
+      */
+      this._confirmations = {}
+      /**
+       * @type {WeakMap<CommandContext, number>}
+       * @private
+      */
+      this._waiting = new WeakMap()
+    }
+
+    /**
+     * retrieves the time a command has spent waiting for answers and confirmations of the client
+     * @param {CommandContext} ctx the context of the command
+     * @returns {number} the time in milliseconds
+     */
+    getWaitingTime(ctx) {
+      return this._waiting.get(ctx) || 0
+    }
+
+    /**
+     * adds the time until the promise settles to the waiting time of the command
+     * @template T
+     * @param {CommandContext} ctx the context of the command which waits
+     * @param {Promise<T>} promise the promise to wait for
+     * @returns {Promise<T>}
+     * @private
+     */
+    async _wait(ctx, promise) {
+      const start = Date.now()
+      try {
+        return await promise
+      } finally {
+        this._waiting.set(ctx, this.getWaitingTime(ctx) + Date.now() - start)
+      }
+    }
+
+    /**
+     * retrieves the identifier of the chat of a client
+     * @param {MessageEvent} ev
+     * @private
+     */
+    static getPromptKey({ client, mode, channel }) {
+      return `${client.uid()}:${mode}:${mode === 1 || !channel ? "" : channel.id()}`
+    }
+
+    /**
+     * asks the client a question and waits for the next message of the client in the same chat
+     * while waiting the messages of the client in this chat do not get handled as commands
+     * @param {CommandContext} ctx the context of the command which asks the question
+     * @param {string} question the question which gets sent to the client
+     * @param {createArgumentHandler|Argument} arg the argument which parses the answer
+     * @param {PromptOptions} [options]
+     * @returns {Promise<any>} resolves with the parsed answer
+     */
+    prompt(ctx, question, arg, options = {}) {
+      const { timeout = 60 * 1000, cancel = ["cancel", "abort"], retries = 3 } = options
+      const argument = typeof arg === "function" ? arg(Argument.createArgumentLayer()) : arg
+      if (!(argument instanceof Argument)) throw new Error(`Typeof arg should be function or instance of Argument but got ${argument}`)
+      const key = Collector.getPromptKey(ctx)
+      if (this._prompts[key]) this._prompts[key].reject(new PromptCancelError("prompt has been replaced by another prompt"))
+      return this._wait(ctx, new Promise((fulfill, reject) => {
+        let attempts = 0
+        const timer = setTimeout(() => {
+          done()
+          reject(new PromptTimeoutError(`no answer received within ${timeout}ms`))
+        }, timeout)
+        const done = () => {
+          clearTimeout(timer)
+          Reflect.deleteProperty(this._prompts, key)
+        }
+        this._prompts[key] = {
+          reject: error => {
+            done()
+            reject(error)
+          },
+          handle: text => {
+            if (cancel.some(word => word.toLowerCase() === text.trim().toLowerCase())) {
+              done()
+              return reject(new PromptCancelError("prompt has been cancelled"))
+            }
+            try {
+              const [value, rest] = argument.validate(text)
+              if (rest.trim().length > 0) throw new ParseError(`unexpected input "${rest.trim()}"`, argument, "argument.unexpected", { input: rest.trim() })
+              done()
+              return fulfill(value)
+            } catch (e) {
+              if (!(e instanceof ParseError) || ++attempts >= retries) {
+                done()
+                return reject(e)
+              }
+              const locale = translator.getLocale(ctx.client)
+              const message = e.key ? translator.translate(e.key, e.params, locale) : e.message
+              return ctx.reply(translator.translate("prompt.invalid", {
+                message,
+                cancel: cancel.map(word => format.bold(word)).join(", ")
+              }, locale))
+            }
+          }
+        }
+        ctx.reply(question)
+      }))
+    }
+
+    /**
+     * asks the client to confirm the execution of a command
+     * @param {CommandContext} ctx the context of the command which needs to be confirmed
+     * @param {string} message the message which gets sent to the client
+     * @param {number} timeout time in milliseconds to wait for the confirmation
+     * @returns {Promise<void>} resolves when the client confirmed the command
+     */
+    awaitConfirmation(ctx, message, timeout) {
+      const key = Collector.getPromptKey(ctx)
+      const command = format.bold(ctx.command.getFullCommandPath())
+      if (this._confirmations[key]) this._confirmations[key].reject(new ConfirmationError("replaced by another command", "confirm.replaced"))
+      return this._wait(ctx, new Promise((fulfill, reject) => {
+        const timer = setTimeout(() => {
+          done()
+          reject(new ConfirmationError(`not confirmed within ${timeout}ms`, "confirm.expired"))
+        }, timeout)
+        const done = () => {
+          clearTimeout(timer)
+          Reflect.deleteProperty(this._confirmations, key)
+        }
+        this._confirmations[key] = {
+          confirm: () => {
+            done()
+            fulfill()
+          },
+          reject: error => {
+            done()
+            reject(error)
+          }
+        }
+        ctx.reply(translator.translate("confirm.request", {
+          message,
+          command,
+          confirm: format.bold(`${Collector.getCommandPrefix()}${confirmCommand}`),
+          time: Math.ceil(timeout / 1000)
+        }, translator.getLocale(ctx.client)))
+      }))
+    }
+
+    /**
+     * confirms the pending command of the client in the chat of the message
+     * @param {MessageEvent} ev the message which confirmed the command
+     * @returns {boolean} false when there is no command to confirm
+     */
+    confirm(ev) {
+      const confirmation = this._confirmations[Collector.getPromptKey(ev)]
+      if (!confirmation) return false
+      confirmation.confirm()
+      return true
+    }
+
+    /**
+     * passes the message to a prompt which waits for an answer of the client
+     * @param {MessageEvent} ev the received message
+     * @returns {boolean} true when the message has been handled as answer
+     */
+    handlePrompt(ev) {
+      const prompt = this._prompts[Collector.getPromptKey(ev)]
+      if (!prompt) return false
+      prompt.handle(ev.text)
+      return true
+    }
+
+    /** retrieves the AuditLog instance which stores the invocations of audited commands */
+    getAuditLog() {
+      return this._auditLog
+    }
+
+    /** retrieves the Statistics instance which records the usage of the commands */
+    getStatistics() {
+      return this._statistics
+    }
+
+    /**
+     * retrieves the usage statistics of a command or of all commands sorted by their invocations
+     * @param {string} [command] the command path without prefix, for example "ping" or "admin kick"
+     * @returns {CommandStats[]|?CommandStats}
+     */
+    getStats(command) {
+      if (command === undefined) return this._statistics.getAll()
+      return this._statistics.get(command.trim().toLowerCase().split(/\s+/).join(" "))
+    }
+
+    /**
+     * loads the paths of the commands which have been disabled at runtime from the store
+     * @param {string} key the store key
+     */
+    loadState(key) {
+      const disabled = store.get(key)
+      this._disabled = Array.isArray(disabled) ? disabled : []
+      this._stateKey = key
+      return this
+    }
+
+    /**
+     * disables the command when it has been disabled at runtime before
+     * @param {BaseCommand} cmd the command which has been registered
+     */
+    applyState(cmd) {
+      if (this.isDisabled(cmd.getCommandPath())) cmd.disable()
+      return this
+    }
+
+    /**
+     * checks if a command path has been disabled at runtime
+     * @param {string} path the command path without prefix
+     */
+    isDisabled(path) {
+      return this._disabled.includes(path.toLowerCase())
+    }
+
+    /** retrieves the paths of all commands which have been disabled at runtime */
+    getDisabled() {
+      return [...this._disabled]
+    }
+
+    /**
+     * enables or disables a command and persists its state
+     * @param {BaseCommand} cmd the command which should be changed
+     * @param {boolean} enabled wether the command should be enabled or disabled
+     */
+    setEnabled(cmd, enabled) {
+      const path = cmd.getCommandPath()
+      this._disabled = this._disabled.filter(disabled => disabled !== path)
+      if (enabled) {
+        cmd.enable()
+      } else {
+        cmd.disable()
+        this._disabled.push(path)
+      }
+      if (this._stateKey !== null) store.set(this._stateKey, this._disabled)
+      return this
+    }
+
+    /**
+     * retrieves all commands including disabled ones by their path
+     * @param {string[]} path the names of the command and its subcommands
+     * @returns {BaseCommand[]}
+     */
+    findCommands(path) {
+      const [name, ...rest] = path.map(part => part.toLowerCase())
+      return rest.reduce((cmds, sub) => cmds
+        .filter(cmd => cmd instanceof CommandGroup)
+        .map(cmd => /** @type {CommandGroup} */ (cmd).getCommands().filter(c => c.getCommandNames().includes(sub)))
+        .reduce((acc, curr) => [...acc, ...curr], []), this._commands.filter(cmd => cmd.getCommandNames().includes(name)))
+    }
+
+    /**
+     * retrieves all registered commands and subcommands including disabled ones
+     * @returns {BaseCommand[]}
+     */
+    getAllCommands() {
+      /**
+       * @param {BaseCommand} cmd
+       * @returns {BaseCommand[]}
+       * @private
+       */
+      const collect = cmd => {
+        if (!(cmd instanceof CommandGroup)) return [cmd]
+        return cmd.getCommands().reduce((acc, sub) => [...acc, ...collect(sub)], /** @type {BaseCommand[]} */ ([cmd]))
+      }
+      return this._commands.reduce((acc, cmd) => [...acc, ...collect(cmd)], /** @type {BaseCommand[]} */ ([]))
+    }
+
+    /**
+     * runs the context through a chain of middlewares and calls the handler at the end of the chain
+     * @param {middlewareHandler[]} middleware the middlewares which should run
+     * @param {CommandContext} ctx the context of the command
+     * @param {() => any} handler gets called when all middlewares have called next
+     * @returns {Promise<void>}
+     */
+    static runMiddleware(middleware, ctx, handler) {
+      /**
+       * @param {number} index
+       * @returns {Promise<void>}
+       * @private
+       */
+      const dispatch = async index => {
+        if (index === middleware.length) return handler()
+        let called = false
+        await middleware[index](ctx, () => {
+          if (called) return Promise.reject(new Error("next() has been called multiple times inside a middleware"))
+          called = true
+          return dispatch(index + 1)
+        })
+      }
+      return dispatch(0)
+    }
+
+    /**
+     * registers a middleware which runs for every command before the arguments get parsed
+     * @param {middlewareHandler} callback the middleware which should be added
+     */
+    use(callback) {
+      this._middleware.push(callback)
+      return this
+    }
+
+    /**
+     * registers an error handler which gets called for errors of all commands
+     * it gets called after the error handlers of the command
+     * @param {errorHandler} callback the error handler which should be added
+     */
+    onError(callback) {
+      this._errorHandler.push(callback)
+      return this
+    }
+
+    /**
+     * runs the error handlers of the command and the global error handlers
+     * @param {Error} error the error which has been thrown
+     * @param {CommandContext} ctx the context of the command
+     * @returns {Promise<boolean>} true when an error handler has handled the error
+     */
+    async handleError(error, ctx) {
+      for (const handler of [...ctx.command.getErrorHandler(), ...this._errorHandler]) {
+        const result = await handler(error, ctx)
+        if (typeof result === "string") {
+          ctx.reply(result)
+          return true
+        }
+        if (result === true) return true
+      }
+      return false
+    }
+
+    /**
+     * dispatches a command through all global middlewares
+     * @param {BaseCommand} cmd the command which should be dispatched
+     * @param {CommandContext} ctx the context of the command
+     */
+    dispatch(cmd, ctx) {
+      return Collector.runMiddleware(this._middleware, ctx, () => cmd.dispatch(ctx.args, ctx))
+    }
+
+    /**
+     * retrieves the current Command Prefix
+     * @returns {string} returns the command prefix
+     */
+    static getCommandPrefix() {
+      const prefix = engine.getCommandPrefix()
+      if (typeof prefix !== "string" || prefix.length === 0) return "!"
+      return prefix
+    }
+
+    /**
+     * retrieves the prefix of the instance followed by the additional prefixes from the settings
+     * @returns {string[]}
+     */
+    static getCommandPrefixes() {
+      return [Collector.getCommandPrefix(), ...prefixes]
+        .filter((prefix, index, arr) => arr.indexOf(prefix) === index)
+    }
+
+    /**
+     * retrieves the mention of the bot which can be used as prefix on discord
+     * @returns {?string}
+     */
+    static getMention() {
+      if (engine.getBackend() !== "discord") return null
+      return `<@${backend.getBotClientID().split("/").pop()}>`
+    }
+
+    /**
+     * removes a leading mention of the bot from a discord message
+     * @param {string} text the message which should be checked
+     * @returns {?string} the message without the mention or null when the bot has not been mentioned
+     */
+    static removeMention(text) {
+      const mention = Collector.getMention()
+      if (mention === null) return null
+      const match = text.match(new RegExp(`^${mention.replace("<@", "<@!?")}\\s*(?<text>.*)$`, "s"))
+      return match && match.groups ? match.groups.text : null
     }
 
     /**
-     * retrieves the current Command Prefix
-     * @returns {string} returns the command prefix
+     * resolves the displayed name of a channel
+     * falls back to the id when the channel has not been found
+     * @param {string} id the id of the channel
+     * @returns {string}
      */
-    static getCommandPrefix() {
-      const prefix = engine.getCommandPrefix()
-      if (typeof prefix !== "string" || prefix.length === 0) return "!"
-      return prefix
+    static getChannelName(id) {
+      const channel = backend.getChannelByID(id) || backend.getChannelByID(`${backend.getBotClientID().split("/")[0]}/${id}`)
+      return channel ? `${channel.name()} (${id})` : id
+    }
+
+    /**
+     * resolves the displayed name of a requirement value
+     * falls back to the value itself when no group or role has been found
+     * @param {string} type the type of the requirement
+     * @param {string} value the id of the group, role or client
+     * @returns {string}
+     */
+    static getRequirementName(type, value) {
+      /**
+       * @type {?{ name(): string }}
+       * @private
+       */
+      let group = null
+      if ((type === "servergroup" || type === "role") && typeof backend.getServerGroupByID === "function") {
+        group = backend.getServerGroupByID(value)
+      } else if (type === "channelgroup" && typeof backend.getChannelGroupByID === "function") {
+        group = backend.getChannelGroupByID(value)
+      }
+      return group ? `${group.name()} (${value})` : value
     }
 
     /** creates a new Throttle instance */
@@ -1382,10 +3937,10 @@ registerPlugin({
 
     /**
      * retrieves the correct reply chat from where the client has sent the message
-     * @param {Message} event
+     * @param {{ mode: number, client: Client, channel: Channel }} event
      * @returns {(msg: string) => void}
      */
-    static getReplyOutput({ mode, client, channel }) {
+    static getChatOutput({ mode, client, channel }) {
       switch (mode) {
         case 1: return client.chat.bind(client)
         case 2: return channel.chat.bind(channel)
@@ -1394,6 +3949,77 @@ registerPlugin({
       }
     }
 
+    /**
+     * retrieves the reply function for the chat from where the client has sent the message
+     * the function has additional methods to style the message or to send it to another chat
+     * @param {MessageEvent} event
+     * @returns {Reply}
+     */
+    static getReplyOutput(event) {
+      const { mode, client, channel } = event
+      const reply = Collector.getChatOutput({ mode, client, channel })
+      const embed = Collector.getEmbedOutput(event)
+      /** @type {ReplyMethods} */
+      const methods = {
+        success: msg => reply(format.color(msg, Collector.REPLY_COLORS.success)),
+        error: msg => reply(format.color(msg, Collector.REPLY_COLORS.error)),
+        code: msg => reply(format.code(msg)),
+        private: msg => client.chat(msg),
+        channel: msg => {
+          const target = mode === 2 ? channel : client.getChannels()[0]
+          if (!target) return debug(DEBUG.WARNING)(`WARN ${client.name()} is in no channel, message "${msg}" not sent!`)
+          target.chat(msg)
+        },
+        poke: msg => (engine.getBackend() === "ts3" ? client.poke(msg) : client.chat(msg)),
+        embed: data => {
+          if (embed) return embed(data)
+          reply([data.title, data.description].filter(text => text).join("\n"))
+        }
+      }
+      /** @type {(msg: string) => void} */
+      const output = msg => reply(msg)
+      return Object.assign(output, methods)
+    }
+
+    /**
+     * retrieves a function which sends an embed to the discord channel the message has been sent in
+     * returns null when embeds are not available or have been disabled in the instance settings
+     * @param {MessageEvent|CommandContext} event
+     * @returns {?(embed: DiscordEmbed) => void}
+     */
+    static getEmbedOutput({ message }) {
+      if (!embeds || !message || typeof backend.extended !== "function") return null
+      const channelID = message.channelID()
+      return embed => backend.extended().createMessage(channelID, { embed }, err => {
+        if (err) debug(DEBUG.WARNING)(`failed to send embed to channel ${channelID}: ${err}`)
+      })
+    }
+
+    /**
+     * splits a list of fields into multiple embeds since discord only allows a limited amount of fields per embed
+     * the title and description get added to the first and the footer to the last embed
+     * @param {DiscordEmbed} embed the embed which holds all fields
+     * @returns {DiscordEmbed[]}
+     */
+    static splitEmbed({ fields = [], title, description, footer, ...embed }) {
+      const chunks = []
+      for (let i = 0; i < fields.length; i += Collector.EMBED_FIELDS) {
+        chunks.push(fields.slice(i, i + Collector.EMBED_FIELDS).map(field => ({
+          ...field,
+          name: field.name.substr(0, 256),
+          value: field.value.length > 0 ? field.value.substr(0, 1024) : "-"
+        })))
+      }
+      if (chunks.length === 0) chunks.push([])
+      return chunks.map((chunk, i) => ({
+        ...embed,
+        ...(i === 0 && title ? { title } : {}),
+        ...(i === 0 && description ? { description } : {}),
+        ...(i === chunks.length - 1 && footer ? { footer } : {}),
+        fields: chunk
+      }))
+    }
+
     /**
      * checks the permissions from a set of commands
      * @param {BaseCommand[]} commands
@@ -1405,6 +4031,48 @@ registerPlugin({
       return commands.filter((_, i) => result[i])
     }
 
+    /**
+     * calculates the edit distance between two strings
+     * insertions, deletions, substitutions and transpositions of two adjacent chars count as one edit
+     * @param {string} a
+     * @param {string} b
+     */
+    static getEditDistance(a, b) {
+      /**
+       * @type {number[][]}
+       * @private
+       */
+      const d = Array(a.length + 1).fill(0).map((_, i) => [i])
+      for (let j = 1; j <= b.length; j++) d[0][j] = j
+      for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+          const cost = a[i - 1] === b[j - 1] ? 0 : 1
+          d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost)
+          if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+            d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+        }
+      }
+      return d[a.length][b.length]
+    }
+
+    /**
+     * retrieves the names which are similar to the given name sorted by their similarity
+     * @param {string} name the name to search similar names for
+     * @param {string[]} names the names to compare with
+     * @param {number} [limit] the maximum amount of names to retrieve
+     */
+    static getSimilar(name, names, limit = 3) {
+      name = name.toLowerCase()
+      const maxDistance = Math.max(1, Math.floor(name.length / 3))
+      return names
+        .filter((n, i) => names.indexOf(n) === i && n !== name)
+        .map(n => ({ name: n, distance: Collector.getEditDistance(name, n.toLowerCase()) }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+        .slice(0, limit)
+        .map(({ name }) => name)
+    }
+
     /**
      * checks if the command name is valid
      * @param {string} name
@@ -1439,6 +4107,18 @@ registerPlugin({
       )
     }
 
+    /**
+     * retrieves similar command names with prefix which the client is allowed to use
+     * @param {string} name the command with its prefix which has not been found
+     * @param {Client} client the client which used the command
+     */
+    async getSuggestions(name, client) {
+      const names = (await this.getAvailableCommandsByPermission(client))
+        .map(cmd => cmd.getFullCommandNames())
+        .reduce((acc, curr) => [...acc, ...curr], [])
+      return Collector.getSimilar(name, names)
+    }
+
     /**
      * Searches for one or multiple enabled commands with its prefix
      * @param {string} name the command with its prefix
@@ -1456,7 +4136,7 @@ registerPlugin({
      * @param {string} text
      */
     isPossibleCommand(text) {
-      if (text.startsWith(Collector.getCommandPrefix())) return true
+      if (Collector.getCommandPrefixes().some(prefix => text.startsWith(prefix))) return true
       return this._commands.some(cmd => cmd.getFullCommandNames().includes(text.split(" ")[0]))
     }
 
@@ -1470,6 +4150,7 @@ registerPlugin({
         throw new Error("Can not create a command with length of 0")
       const cmd = new Command(name, this)
       this._commands.push(cmd)
+      this.applyState(cmd)
       return cmd
     }
 
@@ -1483,9 +4164,18 @@ registerPlugin({
         throw new Error("Can not create a command with length of 0")
       const cmd = new CommandGroup(name, this)
       this._commands.push(cmd)
+      this.applyState(cmd)
       return cmd
     }
 
+    /**
+     * removes a command from the collector
+     * @param {BaseCommand} cmd the command which should be removed
+     */
+    unregisterCommand(cmd) {
+      this._commands = this._commands.filter(c => c !== cmd)
+    }
+
     /**
      * checks if the command string is save to register as a new command
      * this function basically checks if there is no other command named with
@@ -1502,50 +4192,414 @@ registerPlugin({
     }
   }
 
+  /**
+   * maximum amount of fields discord allows in a single embed
+   * @type {number}
+   */
+  Collector.EMBED_FIELDS = 25
+
+  /**
+   * colors of the embeds which get sent by the library
+   * @type {Record<string, number>}
+   */
+  Collector.EMBED_COLORS = {
+    info: 0x3498db,
+    warning: 0xf1c40f,
+    error: 0xe74c3c
+  }
+
+  /**
+   * colors of the styled replies
+   * @type {Record<string, string>}
+   */
+  Collector.REPLY_COLORS = {
+    success: "#2ecc71",
+    error: "#e74c3c"
+  }
+
   ////////////////////////////////////////////////////////////
   ////                    Logic                           ////
   ////////////////////////////////////////////////////////////
 
+  /** @name translator */
+  const translator = new Translator(LANGUAGE)
+
+  translator.addTranslations("en", {
+    "error.notfound": "There is no enabled command named {command}, check {help} to get a list of available commands!",
+    "error.suggestion": "Did you mean {commands}?",
+    "error.subcommand.missing": "No subcommand specified for Command {command}",
+    "error.subcommand.notfound": "Command with name \"{name}\" has not been found on Command {command}!",
+    "error.usage": "For Command usage see {man}",
+    "error.permission": "You do not have permissions to use this command!",
+    "error.permission.help": "To get a list of available commands see {help}",
+    "error.parse": "Invalid Command usage! For Command usage see {man}",
+    "error.parse.argument": "Invalid value for {argument}: {message}",
+    "error.ambiguous": "The argument {argument} is ambiguous, it matches {matches}",
+    "error.quote": "Unterminated quote in argument {argument}!",
+    "error.quote.help": "Close the quote or escape it with a backslash (eg. \\\")",
+    "error.throttle": "You can use this command again in {time} seconds!",
+    "error.toomanyargs": "Too many Arguments received for this Command!",
+    "error.toomanyargs.argument": "Argument parsed with an error {argument}",
+    "error.toomanyargs.message": "Returned with {message}",
+    "error.unhandled": "An unhandled exception occured, check the sinusbot logs for more informations",
+    "error.chat": "This command can not be used here!",
+    "error.chat.modes": "It can only be used in the {chats}",
+    "error.chat.channels": "It can only be used in the channels {channels}",
+    "argument.string.min": "String length not greater or equal! Expected at least {min}, but got {length}",
+    "argument.string.max": "String length not less or equal! Maximum {max} chars allowed, but got {length}",
+    "argument.string.whitelist": "Invalid Input for {input}. Allowed words: {words}",
+    "argument.string.regex": "Regex missmatch, the input '{input}' did not match the expression {regex}",
+    "argument.choice.invalid": "Invalid choice \"{input}\". Allowed choices: {choices}",
+    "argument.number.invalid": "\"{input}\" is not a valid number",
+    "argument.number.min": "Number not greater or equal! Expected at least {min}, but got {number}",
+    "argument.number.max": "Number not less or equal! Expected at most {max}, but got {number}",
+    "argument.number.integer": "Given Number is not an Integer! ({number})",
+    "argument.number.positive": "Given Number is not Positive! ({number})",
+    "argument.number.negative": "Given Number is not Negative! ({number})",
+    "argument.duration.invalid": "\"{input}\" is not a valid duration, expected something like 90s, 1h30m or 2d",
+    "argument.duration.unit": "Unknown unit \"{unit}\" in duration \"{input}\", expected one of {units}",
+    "argument.duration.duplicate": "Unit \"{unit}\" has been used multiple times in duration \"{input}\"",
+    "argument.duration.min": "Duration too short! Expected at least {min}, but got {duration}",
+    "argument.duration.max": "Duration too long! Expected at most {max}, but got {duration}",
+    "argument.datetime.invalid": "\"{input}\" is not a valid date, expected something like 2026-10-20 18:00, 18:00, tomorrow 9am or in 2 hours",
+    "argument.datetime.future": "Date is not in the future! Got {date}",
+    "argument.datetime.past": "Date is not in the past! Got {date}",
+    "argument.datetime.hour12": "Invalid hour {hour} for a 12-hour time, expected 1 to 12",
+    "argument.datetime.hour": "Invalid hour {hour}, expected 0 to 23",
+    "argument.datetime.minute": "Invalid minute {minute}, expected 0 to 59",
+    "argument.datetime.second": "Invalid second {second}, expected 0 to 59",
+    "argument.datetime.date": "Invalid date {date}",
+    "argument.client.notfound": "Client not found!",
+    "argument.channel.notfound": "Channel not found!",
+    "argument.group.nomatch": "No valid match found",
+    "argument.unexpected": "unexpected input \"{input}\"",
+    "chat.private": "private chat",
+    "chat.channel": "channel chat",
+    "chat.server": "server chat",
+    "help.help": "Displays this text",
+    "help.manual.list": "Displays a list of useable commands",
+    "help.manual.filter": "you can search/filter for a specific commands by adding a keyword",
+    "help.found": "{count} Commands found:",
+    "help.manual.page": "add a category to list its commands and a number to display another page (eg. {command} music 2)",
+    "help.categories": "{count} Categories found, use {help} to list the commands of a category:",
+    "help.category.other": "other",
+    "help.category.count": "{count} Commands",
+    "help.page": "Page {page} of {pages}",
+    "help.page.next": ", use {help} for the next page",
+    "help.prefixes": "Commands can be used with the prefixes {prefixes}",
+    "man.help": "Displays detailed help about a command if available",
+    "man.manual.usage": "Displays detailed usage help for a specific command",
+    "man.manual.mandatory": "Arguments with Arrow Brackets (eg. < > ) are mandatory arguments",
+    "man.manual.optional": "Arguments with Square Brackets (eg. [ ] ) are optional arguments",
+    "man.notfound": "No command with name {command} found! Did you misstype the command?",
+    "man.nomanual": "No manual available",
+    "man.title": "Manual for command: {command}",
+    "man.usage": "Usage:",
+    "man.alias": "Alias",
+    "man.prefixes": "Prefixes",
+    "man.arguments": "Arguments:",
+    "man.argument.mandatory": "mandatory",
+    "man.argument.optional": "optional",
+    "man.argument.option": "option",
+    "man.requirements": "Requirements:",
+    "man.requirement.servergroup": "one of the server groups {values}",
+    "man.requirement.channelgroup": "one of the channel groups {values}",
+    "man.requirement.uid": "one of the clients {values}",
+    "man.requirement.role": "one of the roles {values}",
+    "commands.help": "Enables, disables and lists the commands of this instance",
+    "commands.enable.help": "Enables a disabled command",
+    "commands.disable.help": "Disables a command until it gets enabled again",
+    "commands.list.help": "Lists all commands, use --disabled to list only disabled commands",
+    "commands.notfound": "No command named {command} found!",
+    "commands.protected": "The command {command} can not be disabled!",
+    "commands.enabled": "Command {command} has been enabled",
+    "commands.disabled": "Command {command} has been disabled",
+    "commands.found": "{count} Commands found:",
+    "commands.state.disabled": "disabled",
+    "commands.state.enabled": "enabled",
+    "stats.help": "Displays how often the commands have been used",
+    "stats.manual": "Add a command name to display detailed statistics of a single command",
+    "stats.empty": "No commands have been used yet",
+    "stats.notfound": "No statistics found for {command}",
+    "stats.summary": "{command} used {count} times, {failed} failed, median {p50}ms",
+    "stats.title": "Statistics for {command}",
+    "stats.count": "used {count} times, {success} successful, {failed} failed",
+    "stats.latency": "execution time: min {min}ms, avg {avg}ms, p50 {p50}ms, p90 {p90}ms, p99 {p99}ms, max {max}ms",
+    "stats.errors": "errors: {errors}",
+    "stats.users": "top users: {users}",
+    "prompt.invalid": "Invalid answer: {message}, please try again or cancel with {cancel}",
+    "prompt.timeout": "No answer received, the command has been aborted!",
+    "prompt.cancelled": "The command has been cancelled",
+    "confirm.help": "Confirms the execution of a command",
+    "confirm.request": "{message}\nAnswer with {confirm} within {time} seconds to execute {command}",
+    "confirm.expired": "The command {command} has not been confirmed in time and has been discarded",
+    "confirm.replaced": "The command {command} has been discarded because another command needs to be confirmed",
+    "confirm.nothing": "There is no command which needs to be confirmed",
+    "audit.help": "Displays the audit log of moderation commands",
+    "audit.manual": "Filter the entries by a client uid, client name or command and add a number to limit the amount of entries",
+    "audit.empty": "No audit log entries found",
+    "audit.entry.success": "[{date}] {client} ({uid}) in {channel}: {text} ({duration}ms)",
+    "audit.entry.failed": "[{date}] {client} ({uid}) in {channel}: {text} failed with {error} ({duration}ms)"
+  })
+
+  translator.addTranslations("de", {
+    "error.notfound": "Es gibt keinen aktivierten Befehl namens {command}, mit {help} erhältst du eine Liste aller verfügbaren Befehle!",
+    "error.suggestion": "Meintest du {commands}?",
+    "error.subcommand.missing": "Für den Befehl {command} wurde kein Unterbefehl angegeben",
+    "error.subcommand.notfound": "Der Unterbefehl \"{name}\" wurde für den Befehl {command} nicht gefunden!",
+    "error.usage": "Die Verwendung des Befehls findest du unter {man}",
+    "error.permission": "Du hast keine Berechtigung diesen Befehl zu verwenden!",
+    "error.permission.help": "Eine Liste der verfügbaren Befehle findest du unter {help}",
+    "error.parse": "Ungültige Verwendung des Befehls! Die Verwendung findest du unter {man}",
+    "error.parse.argument": "Ungültiger Wert für {argument}: {message}",
+    "error.ambiguous": "Das Argument {argument} ist nicht eindeutig, es passt auf {matches}",
+    "error.quote": "Nicht geschlossenes Anführungszeichen im Argument {argument}!",
+    "error.quote.help": "Schließe das Anführungszeichen oder maskiere es mit einem Backslash (z.B. \\\")",
+    "error.throttle": "Du kannst diesen Befehl in {time} Sekunden wieder verwenden!",
+    "error.toomanyargs": "Der Befehl hat zu viele Argumente erhalten!",
+    "error.toomanyargs.argument": "Fehler beim Verarbeiten des Arguments {argument}",
+    "error.toomanyargs.message": "Fehlermeldung: {message}",
+    "error.unhandled": "Ein unbehandelter Fehler ist aufgetreten, weitere Informationen stehen in den SinusBot Logs",
+    "error.chat": "Dieser Befehl kann hier nicht verwendet werden!",
+    "error.chat.modes": "Er kann nur im {chats} verwendet werden",
+    "error.chat.channels": "Er kann nur in den Channels {channels} verwendet werden",
+    "argument.string.min": "Der Text ist zu kurz! Erwartet wurden mindestens {min} Zeichen, erhalten {length}",
+    "argument.string.max": "Der Text ist zu lang! Erlaubt sind maximal {max} Zeichen, erhalten {length}",
+    "argument.string.whitelist": "Ungültige Eingabe {input}. Erlaubte Wörter: {words}",
+    "argument.string.regex": "Die Eingabe '{input}' entspricht nicht dem Ausdruck {regex}",
+    "argument.choice.invalid": "Ungültige Auswahl \"{input}\". Erlaubt sind: {choices}",
+    "argument.number.invalid": "\"{input}\" ist keine gültige Zahl",
+    "argument.number.min": "Die Zahl ist zu klein! Erwartet wurde mindestens {min}, erhalten {number}",
+    "argument.number.max": "Die Zahl ist zu groß! Erwartet wurde höchstens {max}, erhalten {number}",
+    "argument.number.integer": "Die Zahl ist keine Ganzzahl! ({number})",
+    "argument.number.positive": "Die Zahl ist nicht positiv! ({number})",
+    "argument.number.negative": "Die Zahl ist nicht negativ! ({number})",
+    "argument.duration.invalid": "\"{input}\" ist keine gültige Dauer, erwartet wird etwa 90s, 1h30m oder 2d",
+    "argument.duration.unit": "Unbekannte Einheit \"{unit}\" in der Dauer \"{input}\", erlaubt sind {units}",
+    "argument.duration.duplicate": "Die Einheit \"{unit}\" wurde in der Dauer \"{input}\" mehrfach verwendet",
+    "argument.duration.min": "Die Dauer ist zu kurz! Erwartet wurde mindestens {min}, erhalten {duration}",
+    "argument.duration.max": "Die Dauer ist zu lang! Erwartet wurde höchstens {max}, erhalten {duration}",
+    "argument.datetime.invalid": "\"{input}\" ist kein gültiges Datum, erwartet wird etwa 2026-10-20 18:00, 18:00, tomorrow 9am oder in 2 hours",
+    "argument.datetime.future": "Das Datum liegt nicht in der Zukunft! Erhalten {date}",
+    "argument.datetime.past": "Das Datum liegt nicht in der Vergangenheit! Erhalten {date}",
+    "argument.datetime.hour12": "Ungültige Stunde {hour} für eine 12-Stunden-Zeit, erlaubt sind 1 bis 12",
+    "argument.datetime.hour": "Ungültige Stunde {hour}, erlaubt sind 0 bis 23",
+    "argument.datetime.minute": "Ungültige Minute {minute}, erlaubt sind 0 bis 59",
+    "argument.datetime.second": "Ungültige Sekunde {second}, erlaubt sind 0 bis 59",
+    "argument.datetime.date": "Ungültiges Datum {date}",
+    "argument.client.notfound": "Client nicht gefunden!",
+    "argument.channel.notfound": "Channel nicht gefunden!",
+    "argument.group.nomatch": "Keine gültige Übereinstimmung gefunden",
+    "argument.unexpected": "Unerwartete Eingabe \"{input}\"",
+    "chat.private": "privaten Chat",
+    "chat.channel": "Channel Chat",
+    "chat.server": "Server Chat",
+    "help.help": "Zeigt diesen Text an",
+    "help.manual.list": "Zeigt eine Liste der verwendbaren Befehle an",
+    "help.manual.filter": "mit einem Suchbegriff kann nach bestimmten Befehlen gefiltert werden",
+    "help.found": "{count} Befehle gefunden:",
+    "help.manual.page": "mit einer Kategorie werden deren Befehle angezeigt, mit einer Zahl eine andere Seite (z.B. {command} music 2)",
+    "help.categories": "{count} Kategorien gefunden, mit {help} werden die Befehle einer Kategorie angezeigt:",
+    "help.category.other": "sonstige",
+    "help.category.count": "{count} Befehle",
+    "help.page": "Seite {page} von {pages}",
+    "help.page.next": ", mit {help} wird die nächste Seite angezeigt",
+    "help.prefixes": "Befehle können mit den Präfixen {prefixes} verwendet werden",
+    "man.help": "Zeigt eine ausführliche Hilfe zu einem Befehl an",
+    "man.manual.usage": "Zeigt eine ausführliche Anleitung zur Verwendung eines Befehls an",
+    "man.manual.mandatory": "Argumente in spitzen Klammern (z.B. < > ) sind Pflichtargumente",
+    "man.manual.optional": "Argumente in eckigen Klammern (z.B. [ ] ) sind optionale Argumente",
+    "man.notfound": "Es wurde kein Befehl namens {command} gefunden! Hast du dich vertippt?",
+    "man.nomanual": "Keine Anleitung verfügbar",
+    "man.title": "Anleitung für den Befehl: {command}",
+    "man.usage": "Verwendung:",
+    "man.alias": "Alias",
+    "man.prefixes": "Präfixe",
+    "man.arguments": "Argumente:",
+    "man.argument.mandatory": "Pflicht",
+    "man.argument.optional": "optional",
+    "man.argument.option": "Option",
+    "man.requirements": "Voraussetzungen:",
+    "man.requirement.servergroup": "eine der Servergruppen {values}",
+    "man.requirement.channelgroup": "eine der Channelgruppen {values}",
+    "man.requirement.uid": "einer der Clients {values}",
+    "man.requirement.role": "eine der Rollen {values}",
+    "commands.help": "Aktiviert, deaktiviert und listet die Befehle dieser Instanz auf",
+    "commands.enable.help": "Aktiviert einen deaktivierten Befehl",
+    "commands.disable.help": "Deaktiviert einen Befehl bis er wieder aktiviert wird",
+    "commands.list.help": "Listet alle Befehle auf, mit --disabled nur die deaktivierten Befehle",
+    "commands.notfound": "Es wurde kein Befehl namens {command} gefunden!",
+    "commands.protected": "Der Befehl {command} kann nicht deaktiviert werden!",
+    "commands.enabled": "Der Befehl {command} wurde aktiviert",
+    "commands.disabled": "Der Befehl {command} wurde deaktiviert",
+    "commands.found": "{count} Befehle gefunden:",
+    "commands.state.disabled": "deaktiviert",
+    "commands.state.enabled": "aktiviert",
+    "stats.help": "Zeigt an wie oft die Befehle verwendet wurden",
+    "stats.manual": "Mit einem Befehlsnamen werden ausführliche Statistiken zu diesem Befehl angezeigt",
+    "stats.empty": "Es wurden noch keine Befehle verwendet",
+    "stats.notfound": "Keine Statistiken für {command} gefunden",
+    "stats.summary": "{command} {count} mal verwendet, {failed} fehlgeschlagen, Median {p50}ms",
+    "stats.title": "Statistiken für {command}",
+    "stats.count": "{count} mal verwendet, {success} erfolgreich, {failed} fehlgeschlagen",
+    "stats.latency": "Ausführungszeit: min {min}ms, avg {avg}ms, p50 {p50}ms, p90 {p90}ms, p99 {p99}ms, max {max}ms",
+    "stats.errors": "Fehler: {errors}",
+    "stats.users": "häufigste Benutzer: {users}",
+    "prompt.invalid": "Ungültige Antwort: {message}, versuche es erneut oder brich mit {cancel} ab",
+    "prompt.timeout": "Keine Antwort erhalten, der Befehl wurde abgebrochen!",
+    "prompt.cancelled": "Der Befehl wurde abgebrochen",
+    "confirm.help": "Bestätigt die Ausführung eines Befehls",
+    "confirm.request": "{message}\nAntworte innerhalb von {time} Sekunden mit {confirm} um {command} auszuführen",
+    "confirm.expired": "Der Befehl {command} wurde nicht rechtzeitig bestätigt und wurde verworfen",
+    "confirm.replaced": "Der Befehl {command} wurde verworfen da ein anderer Befehl bestätigt werden muss",
+    "confirm.nothing": "Es gibt keinen Befehl der bestätigt werden muss",
+    "audit.help": "Zeigt das Protokoll der Moderationsbefehle an",
+    "audit.manual": "Die Einträge können nach einer Client UID, einem Client Namen oder einem Befehl gefiltert und mit einer Zahl begrenzt werden",
+    "audit.empty": "Keine Einträge im Protokoll gefunden",
+    "audit.entry.success": "[{date}] {client} ({uid}) in {channel}: {text} ({duration}ms)",
+    "audit.entry.failed": "[{date}] {client} ({uid}) in {channel}: {text} fehlgeschlagen mit {error} ({duration}ms)"
+  })
+
+  /**
+   * timezone which gets used to parse dates and times
+   * @private
+   */
+  const defaultTimezone = DateTimeArgument.isValidTimezone(TIMEZONE) ? TIMEZONE : "UTC"
+  if (defaultTimezone !== TIMEZONE) debug(DEBUG.WARNING)(`invalid timezone "${TIMEZONE}" configured, falling back to UTC`)
+
+  /**
+   * additional command prefixes from the instance settings
+   * @private
+   */
+  const prefixes = (Array.isArray(PREFIXES) ? PREFIXES : [])
+    .filter(prefix => typeof prefix === "string" && (/^\S+$/).test(prefix))
+
+  /**
+   * whether help, manual and error messages get sent as embeds
+   * @private
+   */
+  const embeds = engine.getBackend() === "discord" && EMBEDS !== "1"
+
+  /**
+   * access rules from the instance settings
+   * @private
+   */
+  const acl = new AccessControlList(ACL)
+  if (acl.size() > 0) debug(DEBUG.VERBOSE)(`loaded ${acl.size()} access rules`)
+
   /** @name collector */
-  const collector = new Collector()
+  const collector = new Collector().loadState("commands:disabled")
+  collector.getStatistics().persistent("stats")
+  collector.getAuditLog().persistent("audit")
 
   collector.registerCommand("help")
-    .help("Displays this text")
-    .manual(`Displays a list of useable commands`)
-    .manual(`you can search/filter for a specific commands by adding a keyword`)
-    .addArgument(arg => arg.string.setName("filter").min(1).optional())
-    .exec(async (client, { filter }, reply) => {
+    .help("help.help")
+    .manual("help.manual.list")
+    .manual("help.manual.filter")
+    .manual("help.manual.page")
+    //the filter needs to contain a non digit character otherwise it gets parsed as page
+    .addArgument(arg => arg.string.setName("filter").min(1).match(/\D/).optional())
+    .addArgument(arg => arg.number.setName("page").integer().min(1).optional(1, false))
+    .exec(async (client, { filter, page }, reply, ev) => {
+      const locale = translator.getLocale(client)
+      const prefix = Collector.getCommandPrefix()
       /**
        * @param {string} str
        * @param {number} len
        * @private
        */
       const fixLen = (str, len) => str + Array(len - str.length).fill(" ").join("")
-      let length = 0
-      const cmds = (await collector.getAvailableCommandsByPermission(client))
-        .filter(cmd => cmd.hasHelp())
-        .filter(cmd => !filter ||
-          cmd.getCommandName().match(new RegExp(filter, "i")) ||
-          cmd.getHelp().match(new RegExp(filter, "i")))
-      reply(`${format.bold(cmds.length.toString())} Commands found:`)
+      /**
+       * walks through all CommandGroups and retrieves each command which has no sub commands and can be used in this chat
+       * @param {BaseCommand} cmd
+       * @returns {Promise<BaseCommand[]>}
+       * @private
+       */
+      const collect = async cmd => {
+        if (!cmd.isAvailableIn(ev)) return []
+        if (!(cmd instanceof CommandGroup)) return [cmd]
+        const subs = await Promise.all((await cmd.getAvailableCommands(client)).map(collect))
+        return subs.reduce((acc, curr) => [...acc, ...curr], [])
+      }
+      const available = (await collector.getAvailableCommandsByPermission(client)).filter(cmd => cmd.hasHelp())
+      const all = (await Promise.all(available.map(collect))).reduce((acc, curr) => [...acc, ...curr], [])
+      const categories = all
+        .map(cmd => cmd.getCategory())
+        .filter((category, index, arr) => category !== null && arr.indexOf(category) === index)
+        .sort()
       /**
        * @type {string[][]}
        * @private
        */
-      const commands = []
-      await Promise.all(cmds.map(async cmd => {
-        if (cmd instanceof CommandGroup) {
-          if (cmd.getFullCommandName().length > length) length = cmd.getFullCommandName().length
-          ;(await cmd.getAvailableCommands(client)).forEach(sub => {
-            if (cmd.getFullCommandName().length + sub.getCommandName().length + 1 > length)
-              length = cmd.getFullCommandName().length + sub.getCommandName().length + 1
-            commands.push([`${cmd.getFullCommandName()} ${sub.getCommandName()}`, sub.getHelp()])
-          })
-        } else {
-          if (cmd.getFullCommandName().length > length) length = cmd.getFullCommandName().length
-          commands.push([cmd.getFullCommandName(), cmd.getHelp()])
+      let rows = []
+      let key = "help.found"
+      let next = `${prefix}help`
+      if (!filter && categories.length > 0) {
+        //list all categories with the amount of commands in it
+        const other = all.filter(cmd => cmd.getCategory() === null).length
+        rows = [...categories, ...(other > 0 ? [null] : [])].map(category => [
+          category === null ? translator.translate("help.category.other", {}, locale) : category,
+          translator.translate("help.category.count", { count: all.filter(cmd => cmd.getCategory() === category).length }, locale)
+        ])
+        key = "help.categories"
+      } else {
+        let cmds = all
+        if (filter && (categories.includes(filter.toLowerCase()) || filter.toLowerCase() === translator.translate("help.category.other", {}, locale).toLowerCase())) {
+          //list all commands of a category
+          const category = categories.includes(filter.toLowerCase()) ? filter.toLowerCase() : null
+          cmds = all.filter(cmd => cmd.getCategory() === category)
+        } else if (filter) {
+          //list all commands which match the filter
+          cmds = (await Promise.all(available
+            .filter(cmd => cmd.getCommandName().match(new RegExp(filter, "i")) || cmd.getHelp(locale).match(new RegExp(filter, "i")))
+            .map(collect)))
+            .reduce((acc, curr) => [...acc, ...curr], [])
         }
-      }))
+        if (filter) next += ` ${filter}`
+        rows = cmds.map(cmd => [cmd.getFullCommandPath(), cmd.getHelp(locale)])
+      }
+      const size = typeof HELP_PAGE_SIZE === "number" && HELP_PAGE_SIZE > 0 ? Math.floor(HELP_PAGE_SIZE) : 20
+      const pages = Math.max(1, Math.ceil(rows.length / size))
+      const current = Math.min(page, pages)
+      /**
+       * @param {(str: string) => string} bold
+       * @private
+       */
+      const getTitle = bold => translator.translate(key, { count: bold(rows.length.toString()), help: bold(`${prefix}help <category>`) }, locale)
+      /**
+       * @param {(str: string) => string} bold
+       * @private
+       */
+      const getFooter = bold => {
+        const hint = current < pages ? translator.translate("help.page.next", { help: bold(`${next} ${current + 1}`) }, locale) : ""
+        return `${translator.translate("help.page", { page: current, pages }, locale)}${hint}`
+      }
+      /**
+       * @param {(str: string) => string} bold
+       * @private
+       */
+      const getPrefixes = bold => {
+        const mention = Collector.getMention()
+        const names = [...Collector.getCommandPrefixes().map(bold), ...(mention === null ? [] : [mention])]
+        if (names.length < 2) return ""
+        return translator.translate("help.prefixes", { prefixes: names.join(", ") }, locale)
+      }
+      const title = getTitle(format.bold)
+      const footer = getFooter(format.bold)
+      const prefixList = getPrefixes(format.bold)
+      rows = rows.slice((current - 1) * size, current * size)
+      const embed = Collector.getEmbedOutput(ev)
+      if (embed) {
+        return Collector.splitEmbed({
+          title: getTitle(str => str),
+          description: getPrefixes(str => str),
+          color: Collector.EMBED_COLORS.info,
+          fields: rows.map(([name, value]) => ({ name, value })),
+          ...(pages > 1 ? { footer: { text: getFooter(str => str) } } : {})
+        }).forEach(embed)
+      }
+      reply(prefixList.length > 0 ? `${title}\n${prefixList}` : title)
+      const length = rows.reduce((max, [name]) => Math.max(max, name.length), 0)
       /**
        * @type {string[][]}
        * @private
@@ -1553,8 +4607,8 @@ registerPlugin({
       const init = [[]]
       switch (engine.getBackend()) {
         case "discord":
-          return commands
-            .map(([cmd, help]) => `${fixLen(cmd, length)}  ${help}`)
+          rows
+            .map(([name, help]) => `${fixLen(name, length)}  ${help}`)
             .reduce((acc, curr) => {
               if (acc[acc.length - 1].length + acc.join("\n").length + 6 >= 2000) {
                 acc[acc.length] = [curr]
@@ -1563,11 +4617,13 @@ registerPlugin({
               }
               return acc
             }, init)
+            .filter(lines => lines.length > 0)
             .forEach(lines => reply(format.code(lines.join("\n"))))
+          break
         default:
         case "ts3":
-          return commands
-            .map(([cmd, help]) => `${format.bold(cmd)} ${help}`)
+          rows
+            .map(([name, help]) => `${format.bold(name)} ${help}`)
             .reduce((acc, curr) => {
               if (acc[acc.length - 1].length + acc.join("\n").length + 2 >= 8192) {
                 acc[acc.length] = [curr]
@@ -1576,52 +4632,336 @@ registerPlugin({
               }
               return acc
             }, init)
+            .filter(lines => lines.length > 0)
             .forEach(lines => reply(`\n${lines.join("\n")}`))
       }
+      if (pages > 1) reply(footer)
     })
 
   //creates the man command
   collector.registerCommand("man")
-    .help("Displays detailed help about a command if available")
-    .manual(`Displays detailed usage help for a specific command`)
-    .manual(`Arguments with Arrow Brackets (eg. < > ) are mandatory arguments`)
-    .manual(`Arguments with Square Brackets (eg. [ ] ) are optional arguments`)
+    .help("man.help")
+    .manual("man.manual.usage")
+    .manual("man.manual.mandatory")
+    .manual("man.manual.optional")
     .addArgument(arg => arg.string.setName("command").min(1))
-    .addArgument(arg => arg.string.setName("subcommand").min(1).optional(false, false))
-    .exec(async (client, { command, subcommand }, reply) => {
+    .addArgument(arg => arg.rest.setName("subcommand").min(1).optional(false, false))
+    .exec(async (client, { command, subcommand }, reply, ev) => {
+      const locale = translator.getLocale(client)
+      const usage = format.bold(translator.translate("man.usage", {}, locale))
+      const embed = Collector.getEmbedOutput(ev)
       /**
        * @param {BaseCommand} cmd
        * @private
        */
       const getManual = cmd => {
-        if (cmd.hasManual()) return cmd.getManual()
-        if (cmd.hasHelp()) return cmd.getHelp()
-        return "No manual available"
+        if (cmd.hasManual()) return cmd.getManual(locale)
+        if (cmd.hasHelp()) return cmd.getHelp(locale)
+        return translator.translate("man.nomanual", {}, locale)
       }
-      const cmds = await Collector.checkPermissions(collector.getAvailableCommands(command), client)
-      if (cmds.length === 0) return reply(`No command with name ${format.bold(command)} found! Did you misstype the command?`)
-      cmds.forEach(async cmd => {
+      /**
+       * retrieves the usage of a command with the path of its parent CommandGroups
+       * @param {BaseCommand} cmd
+       * @private
+       */
+      const getUsage = cmd => {
+        const parent = cmd.getParent()
+        if (cmd instanceof CommandGroup || parent === null) return cmd.getUsage()
+        return `${parent.getFullCommandPath()} ${cmd.getUsage()}`
+      }
+      /**
+       * resolves the subcommand path of a command the client has access to
+       * @param {BaseCommand} cmd
+       * @param {string[]} names
+       * @returns {Promise<BaseCommand[]>}
+       * @private
+       */
+      const resolve = async (cmd, names) => {
+        if (names.length === 0) return [cmd]
+        if (!(cmd instanceof CommandGroup)) return []
+        const [name, ...rest] = names
+        const subs = await Promise.all((await cmd.getAvailableCommands(client, name)).map(sub => resolve(sub, rest)))
+        return subs.reduce((acc, curr) => [...acc, ...curr], [])
+      }
+      /**
+       * retrieves all prefixes of a top level command including the mention of the bot
+       * @param {BaseCommand} cmd
+       * @private
+       */
+      const getPrefixes = cmd => {
+        const mention = Collector.getMention()
+        return [...cmd.getPrefixes(), ...(mention === null ? [] : [mention])]
+      }
+      /**
+       * retrieves each requirement of a command as a line of text
+       * @param {BaseCommand} cmd
+       * @private
+       */
+      const getRequirementLines = cmd => cmd.getRequirements().map(({ type, values }) => translator.translate(`man.requirement.${type}`, {
+        values: values.map(value => format.bold(Collector.getRequirementName(type, value))).join(", ")
+      }, locale))
+      /**
+       * retrieves the requirements of a command as text
+       * @param {BaseCommand} cmd
+       * @private
+       */
+      const getRequirements = cmd => {
+        const lines = getRequirementLines(cmd)
+        if (lines.length === 0) return ""
+        return `\n${format.bold(translator.translate("man.requirements", {}, locale))}\n${lines.join("\n")}`
+      }
+      /**
+       * creates the embed with the manual of a command
+       * @param {BaseCommand} cmd
+       * @returns {Promise<DiscordEmbed>}
+       * @private
+       */
+      const getEmbed = async cmd => {
+        const fields = []
         if (cmd instanceof CommandGroup) {
-          if (subcommand) {
-            (await cmd.getAvailableCommands(client, subcommand)).forEach(sub => {
-              reply(`\n${format.bold("Usage:")} ${cmd.getFullCommandName()} ${sub.getUsage()}\n${getManual(sub)}`)
-            })
-          } else {
-            reply(`${format.bold(cmd.getFullCommandName())} - ${getManual(cmd)}`)
+          fields.push(...(await cmd.getAvailableCommands(client)).map(sub => ({ name: getUsage(sub), value: sub.getHelp(locale) })))
+        } else {
+          fields.push({ name: translator.translate("man.usage", {}, locale), value: format.code(getUsage(cmd)) })
+          if (cmd instanceof Command) {
+            const args = [
+              ...cmd.getArguments().map(arg => [arg.getManual(), arg.isOptional() ? "man.argument.optional" : "man.argument.mandatory"]),
+              ...cmd.getOptions().map(option => [Command.getOptionManual(option), "man.argument.option"])
+            ]
+            if (args.length > 0) {
+              fields.push({
+                name: translator.translate("man.arguments", {}, locale),
+                value: args.map(([manual, type]) => `${format.bold(manual)} ${translator.translate(type, {}, locale)}`).join("\n")
+              })
+            }
+          }
+          if (cmd.getAlias().length > 0) fields.push({ name: translator.translate("man.alias", {}, locale), value: cmd.getAlias().join(", ") })
+          if (cmd.getParent() === null && getPrefixes(cmd).length > 1) fields.push({ name: translator.translate("man.prefixes", {}, locale), value: getPrefixes(cmd).join(", ") })
+        }
+        const requirements = getRequirementLines(cmd)
+        if (requirements.length > 0) fields.push({ name: translator.translate("man.requirements", {}, locale), value: requirements.join("\n") })
+        return {
+          title: translator.translate("man.title", { command: cmd.getFullCommandPath() }, locale),
+          description: getManual(cmd),
+          color: Collector.EMBED_COLORS.info,
+          fields
+        }
+      }
+      const cmds = await Collector.checkPermissions(collector.getAvailableCommands(command), client)
+      if (cmds.length === 0) return reply(translator.translate("man.notfound", { command: format.bold(command) }, locale))
+      cmds.forEach(async root => {
+        const path = subcommand ? subcommand.trim().split(/\s+/) : []
+        const found = await resolve(root, path)
+        if (found.length === 0) return reply(translator.translate("man.notfound", { command: format.bold(`${command} ${subcommand}`) }, locale))
+        found.forEach(async cmd => {
+          if (embed) {
+            Collector.splitEmbed(await getEmbed(cmd)).forEach(embed)
+          } else if (cmd instanceof CommandGroup) {
+            reply(`${format.bold(cmd.getFullCommandPath())} - ${getManual(cmd)}${getRequirements(cmd)}`)
             ;(await cmd.getAvailableCommands(client)).forEach(sub => {
-              reply(`${format.bold(`${cmd.getFullCommandName()} ${sub.getUsage()}`)} - ${sub.getHelp()}`)
+              reply(`${format.bold(getUsage(sub))} - ${sub.getHelp(locale)}`)
             })
+          } else if (cmd.getParent() === null) {
+            let response = `\n${translator.translate("man.title", { command: format.bold(cmd.getFullCommandName()) }, locale)}\n${usage} ${cmd.getUsage()}\n${getManual(cmd)}`
+            if (cmd.getAlias().length > 0) response += `\n${format.bold(translator.translate("man.alias", {}, locale))}: ${cmd.getAlias()}`
+            if (getPrefixes(cmd).length > 1) response += `\n${format.bold(translator.translate("man.prefixes", {}, locale))}: ${getPrefixes(cmd).join(", ")}`
+            reply(`${response}${getRequirements(cmd)}`)
+          } else {
+            reply(`\n${usage} ${getUsage(cmd)}\n${getManual(cmd)}${getRequirements(cmd)}`)
           }
-        } else {
-          let response = `\nManual for command: ${format.bold(cmd.getFullCommandName())}\n${format.bold("Usage:")} ${cmd.getUsage()}\n${getManual(cmd)}`
-          if (cmd.getAlias().length > 0) response += `\n${format.bold("Alias")}: ${cmd.getAlias()}`
-          reply(response)
-        }
+        })
       })
     })
 
 
 
+  /**
+   * checks if a client is allowed to use the administrative commands
+   * @param {Client} client
+   * @private
+   */
+  const isAdmin = client => {
+    if (AccessControlList.toList(COMMANDS_ADMIN_UIDS).includes(client.uid())) return true
+    const groups = AccessControlList.toList(COMMANDS_ADMIN_GROUPS)
+    return client.getServerGroups().some(group => groups.includes(group.id()))
+  }
+
+  /**
+   * built-in commands which make way for commands of scripts with the same name
+   * @type {BaseCommand[]}
+   * @private
+   */
+  const builtins = []
+
+  /**
+   * retrieves the name of a built-in command from the instance settings
+   * @param {any} setting the configured name
+   * @param {string} fallback the name which gets used when nothing has been configured
+   * @returns {?string} returns null when the command has been disabled with an empty name
+   * @private
+   */
+  const getBuiltinName = (setting, fallback) => {
+    if (setting === undefined) return fallback
+    if (typeof setting !== "string" || !(/^\S+$/).test(setting.trim())) return null
+    return setting.trim().toLowerCase()
+  }
+
+  /**
+   * registers a built-in command
+   * the command does not get registered when it has been disabled or its name is already in use
+   * @template {BaseCommand} T
+   * @param {?string} name the name of the command
+   * @param {(name: string) => T} register registers the command
+   * @returns {?T}
+   * @private
+   */
+  function registerBuiltin(name, register) {
+    if (name === null) return null
+    if (!collector.isSaveCommand(name)) {
+      debug(DEBUG.WARNING)(`WARNING there is already a command with name '${name}', the built-in command has not been registered!`)
+      return null
+    }
+    const cmd = register(name)
+    builtins.push(cmd)
+    return cmd
+  }
+
+  /**
+   * removes a built-in command which has the same name as a command of a script
+   * @param {string} name the name of the command of the script
+   * @private
+   */
+  function releaseBuiltin(name) {
+    const builtin = builtins.find(cmd => cmd.getCommandName() === name.toLowerCase())
+    if (!builtin) return
+    debug(DEBUG.WARNING)(`WARNING the built-in command '${builtin.getCommandName()}' has been replaced by a command of a script!`)
+    collector.unregisterCommand(builtin)
+    builtins.splice(builtins.indexOf(builtin), 1)
+  }
+
+  //creates the commands command to manage commands at runtime
+  const commands = registerBuiltin(getBuiltinName(MANAGE_COMMAND, "commands"), name => collector.registerCommandGroup(name)
+    .help("commands.help")
+    .checkPermission(isAdmin))
+
+  /**
+   * creates an exec handler which enables or disables the commands of the given path
+   * @param {boolean} enabled
+   * @returns {execHandler}
+   * @private
+   */
+  const toggleCommand = enabled => (client, { command }, reply) => {
+    const locale = translator.getLocale(client)
+    const path = command.trim().split(/\s+/)
+    const name = format.bold(path.join(" "))
+    const cmds = collector.findCommands(path)
+    if (cmds.length === 0) return reply(translator.translate("commands.notfound", { command: name }, locale))
+    if (!enabled && cmds.some(cmd => cmd === commands || cmd.getParent() === commands)) return reply(translator.translate("commands.protected", { command: name }, locale))
+    cmds.forEach(cmd => collector.setEnabled(cmd, enabled))
+    debug(DEBUG.INFO)(`${client.name()} (${client.uid()}) ${enabled ? "enabled" : "disabled"} ${path.join(" ")}`)
+    return reply(translator.translate(enabled ? "commands.enabled" : "commands.disabled", { command: name }, locale))
+  }
+
+  if (commands) {
+    commands.addCommand("enable")
+      .help("commands.enable.help")
+      .addArgument(arg => arg.rest.setName("command").min(1))
+      .exec(toggleCommand(true))
+
+    commands.addCommand("disable")
+      .help("commands.disable.help")
+      .addArgument(arg => arg.rest.setName("command").min(1))
+      .exec(toggleCommand(false))
+
+    commands.addCommand("list")
+      .help("commands.list.help")
+      .flag("disabled", "d")
+      .exec((client, { disabled }, reply) => {
+        const locale = translator.getLocale(client)
+        const state = {
+          enabled: translator.translate("commands.state.enabled", {}, locale),
+          disabled: translator.translate("commands.state.disabled", {}, locale)
+        }
+        const cmds = collector.getAllCommands().filter(cmd => !disabled || !cmd.isEnabled())
+        reply(translator.translate("commands.found", { count: format.bold(cmds.length.toString()) }, locale))
+        if (cmds.length === 0) return
+        reply(`\n${cmds.map(cmd => `${format.bold(cmd.getFullCommandPath())} ${cmd.isEnabled() ? state.enabled : state.disabled}`).join("\n")}`)
+      })
+  }
+
+  /**
+   * name of the command which confirms destructive commands
+   * @private
+   */
+  const confirmCommand = getBuiltinName(CONFIRM_COMMAND, "confirm") || "confirm"
+
+  //creates the confirm command which confirms commands which require a confirmation
+  registerBuiltin(confirmCommand, name => collector.registerCommand(name)
+    .help("confirm.help")
+    .exec((client, args, reply, ev) => {
+      if (!collector.confirm(ev)) reply(translator.translate("confirm.nothing", {}, translator.getLocale(client)))
+    }))
+
+  //creates the stats command which displays the usage of the commands
+  registerBuiltin(getBuiltinName(STATS_COMMAND, "stats"), name => collector.registerCommand(name)
+    .help("stats.help")
+    .manual("stats.manual")
+    .checkPermission(isAdmin)
+    .addArgument(arg => arg.rest.setName("command").min(1).optional(false, false))
+    .exec((client, { command }, reply) => {
+      const locale = translator.getLocale(client)
+      const prefix = Collector.getCommandPrefix()
+      if (!command) {
+        const stats = /** @type {CommandStats[]} */ (collector.getStats()).slice(0, 10)
+        if (stats.length === 0) return reply(translator.translate("stats.empty", {}, locale))
+        const lines = stats.map(({ command: cmd, count, failed, latency }) => translator.translate("stats.summary", {
+          command: format.bold(`${prefix}${cmd}`), count, failed, p50: latency.p50
+        }, locale))
+        return reply(`\n${lines.join("\n")}`)
+      }
+      const stats = /** @type {?CommandStats} */ (collector.getStats(command))
+      if (stats === null) return reply(translator.translate("stats.notfound", { command: format.bold(`${prefix}${command}`) }, locale))
+      const { count, success, failed, errors, latency, users } = stats
+      const lines = [
+        format.bold(translator.translate("stats.title", { command: `${prefix}${stats.command}` }, locale)),
+        translator.translate("stats.count", { count, success, failed }, locale),
+        translator.translate("stats.latency", latency, locale)
+      ]
+      if (failed > 0) lines.push(translator.translate("stats.errors", { errors: Object.keys(errors).map(error => `${error} (${errors[error]})`).join(", ") }, locale))
+      if (users.length > 0) lines.push(translator.translate("stats.users", { users: users.map(user => `${user.name} (${user.count})`).join(", ") }, locale))
+      return reply(`\n${lines.join("\n")}`)
+    }))
+
+  //creates the audit command which displays the audit log
+  registerBuiltin(getBuiltinName(AUDIT_COMMAND, "audit"), name => collector.registerCommand(name)
+    .help("audit.help")
+    .manual("audit.manual")
+    .checkPermission(isAdmin)
+    //the filter needs to contain a non digit character otherwise it gets parsed as limit
+    .addArgument(arg => arg.string.setName("filter").match(/\D/).optional(undefined, false))
+    .addArgument(arg => arg.number.setName("limit").integer().min(1).max(50).optional(10))
+    .exec((client, { filter, limit }, reply) => {
+      const locale = translator.getLocale(client)
+      const auditLog = collector.getAuditLog()
+      const entries = filter === undefined
+        ? auditLog.query({ limit })
+        : [...auditLog.query({ uid: filter, limit }), ...auditLog.query({ command: filter.toLowerCase(), limit })]
+          //an entry can match the client and the command
+          .filter((entry, index, found) => found.indexOf(entry) === index)
+          .sort((a, b) => b.timestamp - a.timestamp)
+          .slice(0, limit)
+      if (entries.length === 0) return reply(translator.translate("audit.empty", {}, locale))
+      const lines = entries.map(entry => translator.translate(entry.success ? "audit.entry.success" : "audit.entry.failed", {
+        date: DateTimeArgument.formatDate(entry.timestamp),
+        client: format.bold(entry.name),
+        uid: entry.uid,
+        text: entry.text,
+        channel: entry.channel ? entry.channel.name : "-",
+        error: entry.error,
+        duration: entry.duration
+      }, locale))
+      return reply(`\n${lines.join("\n")}`)
+    }))
+
   if (engine.getBackend() === "discord") {
     //discord message handler
     event.on("message", ev => {
@@ -1705,76 +5045,225 @@ registerPlugin({
     if (!ev.client) return debug(DEBUG.WARNING)("client is undefined")
     //do not do anything when the bot sends a message
     if (ev.client.isSelf()) return debug(DEBUG.VERBOSE)("Will not handle messages from myself")
+    //answers to prompts do not get handled as commands
+    if (collector.handlePrompt(ev)) return debug(DEBUG.VERBOSE)("message has been handled as answer to a prompt")
+    //on discord the bot can be mentioned instead of using a prefix
+    const mentioned = Collector.removeMention(ev.text)
     //check if it is a possible command
-    if (!collector.isPossibleCommand(ev.text)) return debug(DEBUG.VERBOSE)("No possible valid command found!")
+    if (mentioned === null && !collector.isPossibleCommand(ev.text)) return debug(DEBUG.VERBOSE)("No possible valid command found!")
     //get the basic command with arguments and command splitted
-    const match = ev.text.match(new RegExp(`^(?<command>\\S*)\\s*(?<args>.*)\\s*$`, "s"))
+    const match = (mentioned === null ? ev.text : mentioned).match(new RegExp(`^(?<command>\\S*)\\s*(?<args>.*)\\s*$`, "s"))
     if (!match || !match.groups) throw new Error(`command regex missmatch for '${ev.text}'`)
     const { command, args } = match.groups
+    const locale = translator.getLocale(ev.client)
     //check if command exists
-    const commands = collector.getAvailableCommandsWithPrefix(command)
+    const commands = mentioned === null ? collector.getAvailableCommandsWithPrefix(command) : collector.getAvailableCommands(command)
     if (commands.length === 0) {
       //depending on the config setting return without error
       if (NOT_FOUND_MESSAGE !== "0") return
-      //send the not found message
-      return Collector.getReplyOutput(ev)(`There is no enabled command named ${format.bold(command.toLowerCase())}, check ${format.bold(`${Collector.getCommandPrefix()}help`)} to get a list of available commands!`)
+      const response = translator.translate("error.notfound", { command: format.bold(command.toLowerCase()), help: format.bold(`${Collector.getCommandPrefix()}help`) }, locale)
+      const reply = getErrorOutput(ev, Collector.getReplyOutput(ev))
+      if (SUGGESTIONS !== "0") return reply(response)
+      //send the not found message with similar commands
+      return collector.getSuggestions(command, ev.client)
+        .then(suggestions => reply(`${response}${getSuggestionText(suggestions, locale)}`))
     }
     //handle every available command, should actually be only one command
     commands.forEach(async cmd => {
       const start = Date.now()
+      //time spent waiting for prompts and confirmations does not count to the execution time
+      const getDuration = () => Date.now() - start - collector.getWaitingTime(ctx)
+      /**
+       * @type {CommandContext}
+       * @private
+       */
+      const ctx = {
+        ...ev,
+        command: cmd,
+        args,
+        arguments: {},
+        reply: Collector.getReplyOutput(ev),
+        raw: ev,
+        prompt: (question, arg, options) => collector.prompt(ctx, question, arg, options)
+      }
       try {
         debug(DEBUG.INFO)(`${ev.client.name()} (${ev.client.uid()}) used ${cmd.getFullCommandName()}`)
         //dispatches the cmd, this will
+        // - run the global middlewares
         // - check for permissions
         // - parse the arguments
+        // - run the middlewares of the command
         // - dispatch the command
-        await cmd.dispatch(args, ev)
-        debug(DEBUG.VERBOSE)(`Command "${cmd.getFullCommandName()}" finnished successfully after ${Date.now() - start}ms`)
+        await collector.dispatch(cmd, ctx)
+        const duration = getDuration()
+        collector.getStatistics().record(ctx.command.getCommandPath(), ev.client, duration)
+        audit(ctx, duration)
+        debug(DEBUG.VERBOSE)(`Command "${cmd.getFullCommandName()}" finnished successfully after ${duration}ms`)
       //catch errors, parsing errors / permission errors or anything else
       } catch (e) {
-        debug(DEBUG.VERBOSE)(`Command "${cmd.getFullCommandName()}" failed after ${Date.now() - start}ms`)
-        const reply = Collector.getReplyOutput(ev)
-        //Handle Command not found Exceptions for CommandGroups
-        let response = (engine.getBackend() === "ts3" ? "\n" : "")
-        if (e instanceof CommandNotFoundError) {
-          response += `${e.message}\n`
-          response += `For Command usage see ${format.bold(`${Collector.getCommandPrefix()}man ${cmd.getCommandName()}`)}\n`
-          reply(response)
-        } else if (e instanceof PermissionError) {
-          debug(DEBUG.INFO)(`${ev.client.name()} (${ev.client.uid()}) is missing permissions for ${cmd.getFullCommandName()}`)
-          response += `You do not have permissions to use this command!\n`
-          response += `To get a list of available commands see ${format.bold(`${Collector.getCommandPrefix()}help`)}`
-          reply(response)
-        } else if (e instanceof ParseError) {
-          response += `Invalid Command usage! For Command usage see ${format.bold(`${Collector.getCommandPrefix()}man ${cmd.getCommandName()}`)}\n`
-          reply(response)
-        } else if (e instanceof ThrottleError) {
-          reply(e.message)
-        } else if (e instanceof TooManyArgumentsError) {
-          response += `Too many Arguments received for this Command!\n`
-          if (e.parseError) {
-            response += `Argument parsed with an error ${format.bold(e.parseError.argument.getManual())}\n`
-            response += `Returned with ${format.bold(e.parseError.message)}\n`
-          }
-          response += `Invalid Command usage! For Command usage see ${format.bold(`${Collector.getCommandPrefix()}man ${cmd.getCommandName()}`)}`
-          reply(response)
-        } else {
-          reply("An unhandled exception occured, check the sinusbot logs for more informations")
-          const match = e.stack.match(new RegExp("^(?<type>\\w+): *(?<msg>.+?)\\s+(at .+?\\(((?<script>\\w+):(?<line>\\d+):(?<row>\\d+))\\))", "s"))
-          if (match) {
-            const { type, msg, script, line, row } = match.groups
-            debug(DEBUG.ERROR)(`Unhandled Script Error in Script "${script.endsWith(".js") ? script : `${script}.js`}" on line ${line} at index ${row}`)
-            debug(DEBUG.ERROR)(`${type}: ${msg}`)
-            debug(DEBUG.VERBOSE)(e.stack)
-          } else {
-            debug(DEBUG.ERROR)("This is _probably_ an Error with a Script which is using command.js!")
-            debug(DEBUG.ERROR)(e.stack)
-          }
+        const duration = getDuration()
+        collector.getStatistics().record(ctx.command.getCommandPath(), ev.client, duration, e)
+        audit(ctx, duration, e)
+        debug(DEBUG.VERBOSE)(`Command "${cmd.getFullCommandName()}" failed after ${duration}ms`)
+        //let the error handlers of the scripts handle the error first
+        try {
+          if (await collector.handleError(e, ctx)) return
+        } catch (err) {
+          debug(DEBUG.ERROR)(`Error handler of command "${cmd.getFullCommandName()}" failed with ${err.message}`)
         }
+        replyError(e, ctx, cmd)
       }
     })
   }
 
+  /**
+   * writes the invocation of a command to the audit log when the command gets audited
+   * @private
+   * @param {CommandContext} ctx the context of the command
+   * @param {number} duration the execution time in milliseconds
+   * @param {any} [error] the error which has been thrown
+   */
+  function audit(ctx, duration, error) {
+    if (!ctx.command.isAudited()) return
+    collector.getAuditLog().add({
+      timestamp: Date.now() - duration,
+      command: ctx.command.getCommandPath(),
+      uid: ctx.client.uid(),
+      name: ctx.client.name(),
+      text: ctx.text,
+      arguments: AuditLog.serialize(ctx.arguments),
+      mode: ctx.mode,
+      channel: ctx.channel ? { id: ctx.channel.id(), name: ctx.channel.name() } : null,
+      success: error === undefined,
+      error: error === undefined ? null : AuditLog.describeError(error),
+      duration
+    })
+  }
+
+  /**
+   * retrieves the text which suggests similar commands
+   * @private
+   * @param {string[]} suggestions the similar commands
+   * @param {string} locale the locale to reply in
+   */
+  function getSuggestionText(suggestions, locale) {
+    if (SUGGESTIONS !== "0" || suggestions.length === 0) return ""
+    return `\n${translator.translate("error.suggestion", { commands: suggestions.map(s => format.bold(s)).join(", ") }, locale)}`
+  }
+
+  /**
+   * retrieves the text which lists the chats and channels a command can be used in
+   * @private
+   * @param {ChatRestrictionError} error the error which has been thrown
+   * @param {string} locale the locale to reply in
+   */
+  function getRestrictionText({ modes, channels }, locale) {
+    let text = ""
+    if (modes.length > 0) {
+      const chats = modes.map(chat => format.bold(translator.translate(`chat.${chat}`, {}, locale))).join(", ")
+      text += `\n${translator.translate("error.chat.modes", { chats }, locale)}`
+    }
+    if (channels.length > 0) {
+      const names = channels.map(id => format.bold(Collector.getChannelName(id))).join(", ")
+      text += `\n${translator.translate("error.chat.channels", { channels: names }, locale)}`
+    }
+    return text
+  }
+
+  /**
+   * retrieves a function which replies an error message through the reply function
+   * so that middlewares which wrap the reply function also receive errors
+   * the message gets sent as colored embed when embeds are available otherwise as text
+   * @private
+   * @param {MessageEvent|CommandContext} ev the event to reply to
+   * @param {Reply} reply the reply function of the event
+   * @returns {(msg: string, color?: number) => void}
+   */
+  function getErrorOutput(ev, reply) {
+    if (!Collector.getEmbedOutput(ev) || typeof reply.embed !== "function") return msg => reply(msg)
+    return (msg, color = Collector.EMBED_COLORS.error) => reply.embed({ description: msg.trim(), color })
+  }
+
+  /**
+   * replies the default message for an error which occured while dispatching a command
+   * @private
+   * @param {Error} e the error which has been thrown
+   * @param {CommandContext} ctx the context of the command
+   * @param {BaseCommand} cmd the top level command which has been used
+   */
+  function replyError(e, ctx, cmd) {
+    const { client } = ctx
+    const reply = getErrorOutput(ctx, ctx.reply)
+    const locale = translator.getLocale(client)
+    /**
+     * @param {string} key
+     * @param {Record<string, any>} [params]
+     * @private
+     */
+    const t = (key, params) => translator.translate(key, params, locale)
+    /**
+     * @param {ParseError} err
+     * @private
+     */
+    const parseMessage = err => err.key ? t(err.key, err.params) : err.message
+    //Handle Command not found Exceptions for CommandGroups
+    const man = format.bold(`${Collector.getCommandPrefix()}man ${cmd.getCommandName()}`)
+    let response = (engine.getBackend() === "ts3" ? "\n" : "")
+    if (e instanceof CommandNotFoundError) {
+      response += `${e.key ? t(e.key, e.params) : e.message}${getSuggestionText(e.suggestions, locale)}\n`
+      response += `${t("error.usage", { man })}\n`
+      reply(response)
+    } else if (e instanceof PermissionError) {
+      debug(DEBUG.INFO)(`${client.name()} (${client.uid()}) is missing permissions for ${cmd.getFullCommandName()}`)
+      response += `${t("error.permission")}\n`
+      response += t("error.permission.help", { help: format.bold(`${Collector.getCommandPrefix()}help`) })
+      reply(response)
+    } else if (e instanceof AmbiguousError) {
+      response += `${t("error.ambiguous", { argument: format.bold(e.argument.getManual()), matches: e.matches.map(m => format.bold(m)).join(", ") })}\n`
+      response += t("error.usage", { man })
+      reply(response)
+    } else if (e instanceof QuoteError) {
+      response += `${t("error.quote", { argument: format.bold(e.argument.getManual()) })}\n`
+      response += t("error.quote.help")
+      reply(response)
+    } else if (e instanceof ParseError) {
+      response += `${t("error.parse.argument", { argument: format.bold(e.argument.getManual()), message: parseMessage(e) })}\n`
+      response += `${t("error.parse", { man })}\n`
+      reply(response)
+    } else if (e instanceof ThrottleError) {
+      reply(e.message, Collector.EMBED_COLORS.warning)
+    } else if (e instanceof PromptTimeoutError) {
+      reply(t("prompt.timeout"), Collector.EMBED_COLORS.warning)
+    } else if (e instanceof PromptCancelError) {
+      reply(t("prompt.cancelled"), Collector.EMBED_COLORS.warning)
+    } else if (e instanceof ChatRestrictionError) {
+      response += `${t("error.chat")}${getRestrictionText(e, locale)}`
+      reply(response)
+    } else if (e instanceof ConfirmationError) {
+      reply(t(e.key, { command: format.bold(ctx.command.getFullCommandPath()) }), Collector.EMBED_COLORS.warning)
+    } else if (e instanceof TooManyArgumentsError) {
+      response += `${t("error.toomanyargs")}\n`
+      if (e.parseError) {
+        response += `${t("error.toomanyargs.argument", { argument: format.bold(e.parseError.argument.getManual()) })}\n`
+        response += `${t("error.toomanyargs.message", { message: format.bold(parseMessage(e.parseError)) })}\n`
+      }
+      response += t("error.parse", { man })
+      reply(response)
+    } else {
+      reply(t("error.unhandled"))
+      const match = (e.stack || "").match(new RegExp("^(?<type>\\w+): *(?<msg>.+?)\\s+(at .+?\\(((?<script>\\w+):(?<line>\\d+):(?<row>\\d+))\\))", "s"))
+      if (match && match.groups) {
+        const { type, msg, script, line, row } = match.groups
+        debug(DEBUG.ERROR)(`Unhandled Script Error in Script "${script.endsWith(".js") ? script : `${script}.js`}" on line ${line} at index ${row}`)
+        debug(DEBUG.ERROR)(`${type}: ${msg}`)
+        debug(DEBUG.VERBOSE)(e.stack)
+      } else {
+        debug(DEBUG.ERROR)("This is _probably_ an Error with a Script which is using command.js!")
+        debug(DEBUG.ERROR)(e.stack)
+      }
+    }
+  }
+
 
   ////////////////////////////////////////////////////////////
   ////                    EXPORTS                         ////
@@ -1787,6 +5276,7 @@ registerPlugin({
    * @returns {CommandGroup} returns the created CommandGroup instance
    */
   function createCommandGroup(cmd) {
+    releaseBuiltin(cmd)
     if (!collector.isSaveCommand(cmd)) {
       debug(DEBUG.WARNING)(`WARNING there is already a command with name '${cmd}' enabled!`)
       debug(DEBUG.WARNING)(`command.js may work not as expected!`)
@@ -1802,6 +5292,7 @@ registerPlugin({
    * @returns {Command} returns the created Command
    */
   function createCommand(cmd) {
+    releaseBuiltin(cmd)
     if (!collector.isSaveCommand(cmd)) {
       debug(DEBUG.WARNING)(`WARNING there is already a command with name '${cmd}' enabled!`)
       debug(DEBUG.WARNING)(`command.js may work not as expected!`)
@@ -1817,7 +5308,7 @@ registerPlugin({
    * @returns {Argument} returns the created Argument
    */
   function createArgument(type) {
-    const arg = Argument.createArgumentLayer()[type]
+    const arg = type === "choice" ? new ChoiceArgument() : Argument.createArgumentLayer()[type]
     if (!(arg instanceof Argument))
       throw new Error(`Argument type not found! Available Arguments: ${Object.keys(Argument.createArgumentLayer()).join(", ")}`)
     return arg
@@ -1862,6 +5353,58 @@ registerPlugin({
     return version
   }
 
+  /**
+   * @name setLocale
+   * sets the default locale for all replies
+   * @param {string} locale the locale which should be used (for example "en" or "de")
+   */
+  function setLocale(locale) {
+    translator.setLocale(locale)
+  }
+
+  /**
+   * @name getLocale
+   * retrieves the locale which gets used for a client
+   * @param {Client} [client] the client to retrieve the locale for, if none given it will return the default locale
+   * @returns {string} returns the locale
+   */
+  function getLocale(client) {
+    return translator.getLocale(client)
+  }
+
+  /**
+   * @name setClientLocale
+   * overrides the locale for a single client
+   * @param {Client|string} client the client or its uid
+   * @param {?string} locale the locale which should be used, null resets the client to the default locale
+   */
+  function setClientLocale(client, locale) {
+    translator.setClientLocale(client, locale)
+  }
+
+  /**
+   * @name addTranslations
+   * adds translations to the catalog, this can be used to translate the replies of this library
+   * or to register translation keys which can be used in #help and #manual of your own commands
+   * @param {string} locale the locale the translations are for
+   * @param {Record<string, string>} translations key value pairs of translations
+   */
+  function addTranslations(locale, translations) {
+    translator.addTranslations(locale, translations)
+  }
+
+  /**
+   * @name translate
+   * translates a key to the locale of the given client
+   * @param {string} key the translation key
+   * @param {Record<string, any>} [params] values for placeholders in the form of {name}
+   * @param {Client} [client] the client whose locale should be used
+   * @returns {string} returns the translated text
+   */
+  function translate(key, params, client) {
+    return translator.translate(key, params, translator.getLocale(client))
+  }
+
   module.exports = {
     createCommandGroup,
     createCommand,
@@ -1870,6 +5413,11 @@ registerPlugin({
     getCommandPrefix,
     createThrottle,
     getVersion,
+    setLocale,
+    getLocale,
+    setClientLocale,
+    addTranslations,
+    translate,
     collector
   }
 })
\ No newline at end of file
@@ -3,6 +3,7 @@
 
 const { Sinusbot } = require("./node_modules/sinusbot-test-environment/lib/Sinusbot")
 const fs = require("fs")
+const vm = require("vm")
 
 describe("Command", () => {
 
@@ -128,6 +129,36 @@ describe("Command", () => {
       })
     })
 
+    it("should test multiple forced prefixes", () => {
+      return new Promise(fulfill => {
+        testCmd.forcePrefix(["$", "?"])
+        sinusbot.event.chat({ text: "$test" })
+        sinusbot.event.chat({ text: "?test" })
+        sinusbot.event.chat({ text: "!test" })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(2)
+          expect(testCmd.getFullCommandName()).toBe("$test")
+          fulfill()
+        })
+      })
+    })
+
+    it("should test additional prefixes from the settings", () => {
+      return new Promise(fulfill => {
+        sinusbot = new Sinusbot()
+        sinusbot.setScript(script)
+        sinusbot.setConfig({ DEBUGLEVEL: 0, NOT_FOUND_MESSAGE: "0", PREFIXES: ["."] })
+        exported = sinusbot.run()
+        exported.createCommand("test").exec(mockFn)
+        sinusbot.event.chat({ text: "!test" })
+        sinusbot.event.chat({ text: ".test" })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(2)
+          fulfill()
+        })
+      })
+    })
+
     it("should test denied permissions", () => {
       return new Promise(fulfill => {
         testCmd.checkPermission(() => false)
@@ -150,6 +181,35 @@ describe("Command", () => {
       })
     })
 
+    it("should suggest similar commands", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        sinusbot.event.chat({ text: "!tset", client: client.buildModule() })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(0)
+          expect(client.chatMock).toBeCalledTimes(1)
+          expect(client.chatMock.mock.calls[0][0]).toContain("Did you mean")
+          expect(client.chatMock.mock.calls[0][0]).toContain("!test")
+          fulfill()
+        })
+      })
+    })
+
+    it("should not suggest commands without permission", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        testCmd.checkPermission(() => false)
+        sinusbot.event.chat({ text: "!tset", client: client.buildModule() })
+        process.nextTick(() => {
+          expect(client.chatMock).toBeCalledTimes(1)
+          expect(client.chatMock.mock.calls[0][0]).not.toContain("Did you mean")
+          fulfill()
+        })
+      })
+    })
+
     describe("invalid commands", () => {
       it("should check if a command throws an error on registration with a space in it", () => {
         expect(() => exported.createCommand("te st")).toThrowError()
@@ -251,6 +311,46 @@ describe("Command", () => {
     })
   })
 
+  it("should test a quoted subcommand with quoted arguments", () => {
+    return new Promise(fulfill => {
+      cmdGroup.addCommand("foo")
+        .addArgument((/** @type {object} */ args) => args.string.setName("bar"))
+        .exec(mockFn)
+      sinusbot.event.chat({ text: "!test \"foo\" \"bar baz\"" })
+      process.nextTick(() => {
+        expect(mockFn).toBeCalledTimes(1)
+        expect(mockFn.mock.calls[0][1]).toEqual({ bar: "bar baz" })
+        fulfill()
+      })
+    })
+  })
+
+  it("should test a nested CommandGroup", () => {
+    return new Promise(fulfill => {
+      cmdGroup = exported.createCommandGroup("foo")
+      const nested = cmdGroup.addCommandGroup("bar")
+      nested.addCommand("baz").exec(mockFn)
+      sinusbot.event.chat({ text: "!foo bar baz" })
+      process.nextTick(() => {
+        expect(mockFn).toBeCalledTimes(1)
+        expect(nested.getFullCommandPath()).toBe("!foo bar")
+        fulfill()
+      })
+    })
+  })
+
+  it("should test denied permissions of a nested CommandGroup", () => {
+    return new Promise(fulfill => {
+      cmdGroup = exported.createCommandGroup("foo")
+      cmdGroup.addCommandGroup("bar").checkPermission(() => false).addCommand("baz").exec(mockFn)
+      sinusbot.event.chat({ text: "!foo bar baz" })
+      process.nextTick(() => {
+        expect(mockFn).toBeCalledTimes(0)
+        fulfill()
+      })
+    })
+  })
+
   it("should test allowed permissions of a Command in a CommandGroup", () => {
     return new Promise(fulfill => {
       cmdGroup = exported.createCommandGroup("foo")
@@ -268,93 +368,1476 @@ describe("Command", () => {
 })
 
 
-  describe("Arguments", () => {
+  describe("Localization", () => {
 
-    describe("StringArgument", () => {
+    it("should reply in the default locale", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        exported.setLocale("de")
+        testCmd.checkPermission(() => false)
+        sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+        process.nextTick(() => {
+          expect(client.chatMock).toBeCalledTimes(1)
+          expect(client.chatMock.mock.calls[0][0]).toContain("Du hast keine Berechtigung")
+          fulfill()
+        })
+      })
+    })
 
-      it("should test the basic assignment of a string", () => {
-        return new Promise(fulfill => {
-          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar"))
-          sinusbot.event.chat({ text: "!test Foo" })
-          process.nextTick(() => {
-            expect(mockFn).toBeCalledTimes(1)
-            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "Foo" })
-            fulfill()
-          })
+    it("should reply in the locale of the client", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        const module = client.buildModule()
+        exported.setClientLocale(module, "de")
+        testCmd.checkPermission(() => false)
+        sinusbot.event.chat({ text: "!test", client: module })
+        process.nextTick(() => {
+          expect(exported.getLocale()).toBe("en")
+          expect(exported.getLocale(module)).toBe("de")
+          expect(client.chatMock.mock.calls[0][0]).toContain("Du hast keine Berechtigung")
+          fulfill()
         })
       })
-      it("should test the forceUpperCase method", () => {
-        return new Promise(fulfill => {
-          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar").forceUpperCase())
-          sinusbot.event.chat({ text: "!test Foo" })
-          process.nextTick(() => {
-            expect(mockFn).toBeCalledTimes(1)
-            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "FOO" })
-            fulfill()
-          })
+    })
+
+    it("should translate help and manual texts", () => {
+      exported.addTranslations("en", { "test.help": "english help", "test.manual": "english manual" })
+      exported.addTranslations("de", { "test.help": "deutsche Hilfe" })
+      testCmd.help("test.help").manual("test.manual")
+      expect(testCmd.getHelp("en")).toBe("english help")
+      expect(testCmd.getHelp("de")).toBe("deutsche Hilfe")
+      expect(testCmd.getManual("de")).toBe("english manual")
+    })
+
+    it("should translate parse errors", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        exported.setLocale("de")
+        testCmd.addArgument((/** @type {object} */ args) => args.number.setName("num"))
+        sinusbot.event.chat({ text: "!test foo", client: client.buildModule() })
+        setTimeout(() => {
+          expect(client.chatMock).toBeCalledTimes(1)
+          expect(client.chatMock.mock.calls[0][0]).toContain("\"foo\" ist keine gültige Zahl")
+          fulfill()
         })
       })
-      it("should test the forceLowerCase method", () => {
-        return new Promise(fulfill => {
-          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar").forceLowerCase())
-          sinusbot.event.chat({ text: "!test Foo" })
-          process.nextTick(() => {
-            expect(mockFn).toBeCalledTimes(1)
-            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "foo" })
-            fulfill()
-          })
+    })
+
+    it("should replace the command placeholder in manual texts", () => {
+      testCmd.forcePrefix("$").manual("use {command} foo")
+      expect(testCmd.getManual()).toBe("use $test foo")
+    })
+
+    it("should replace placeholders", () => {
+      exported.addTranslations("en", { "test.greet": "Hello {name}!" })
+      expect(exported.translate("test.greet", { name: "foo" })).toBe("Hello foo!")
+      expect(exported.translate("not a key")).toBe("not a key")
+    })
+  })
+
+  describe("Options", () => {
+
+    it("should test options and flags at any position", () => {
+      return new Promise(fulfill => {
+        testCmd.addArgument((/** @type {object} */ args) => args.string.setName("url"))
+        testCmd.addOption((/** @type {object} */ args) => args.number.setName("volume"), "v")
+        testCmd.flag("shuffle", "s")
+        sinusbot.event.chat({ text: "!test --shuffle foo --volume 30" })
+        sinusbot.event.chat({ text: "!test -v 10 bar" })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(2)
+          expect(mockFn.mock.calls[0][1]).toEqual({ url: "foo", volume: 30, shuffle: true })
+          expect(mockFn.mock.calls[1][1]).toEqual({ url: "bar", volume: 10, shuffle: false })
+          fulfill()
         })
       })
-      it("should test the forceLowerCase method", () => {
-        return new Promise(fulfill => {
-          
-          testCmd.addArgument((/** @type {object} */  args) => args.string.setName("bar").forceLowerCase())
-          sinusbot.event.chat({ text: "!test Foo" })
-          process.nextTick(() => {
-            expect(mockFn).toBeCalledTimes(1)
-            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "foo" })
-            fulfill()
-          })
+    })
+
+    it("should test an option with an inline value", () => {
+      return new Promise(fulfill => {
+        testCmd.addOption((/** @type {object} */ args) => args.number.setName("volume").optional(50))
+        sinusbot.event.chat({ text: "!test --volume=20" })
+        sinusbot.event.chat({ text: "!test" })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(2)
+          expect(mockFn.mock.calls[0][1]).toEqual({ volume: 20 })
+          expect(mockFn.mock.calls[1][1]).toEqual({ volume: 50 })
+          fulfill()
         })
       })
-      it("should test the match regex", () => {
-        return new Promise(fulfill => {
-          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar").match(/^fOo$/))
-          sinusbot.event.chat({ text: "!test fOo" })
-          process.nextTick(() => {
-            expect(mockFn).toBeCalledTimes(1)
-            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "fOo" })
-            mockFn.mockClear()
-            sinusbot.event.chat({ text: "!test foo" })
-            expect(mockFn).toBeCalledTimes(0)
-            fulfill()
-          })
+    })
+
+    it("should test the usage of options", () => {
+      testCmd.addArgument((/** @type {object} */ args) => args.string.setName("url"))
+      testCmd.addOption((/** @type {object} */ args) => args.number.setName("volume"), "v")
+      testCmd.flag("shuffle")
+      expect(testCmd.getUsage()).toBe("test <url> [--volume|-v <volume>] [--shuffle]")
+    })
+  })
+
+  describe("Permission Helpers", () => {
+
+    it("should only allow the required uids", () => {
+      return new Promise(fulfill => {
+        const allowed = sinusbot.createClient().buildModule()
+        const denied = sinusbot.createClient().buildModule()
+        testCmd.requireUid(allowed.uid())
+        sinusbot.event.chat({ text: "!test", client: denied })
+        sinusbot.event.chat({ text: "!test", client: allowed })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(1)
+          expect(mockFn.mock.calls[0][0].uid()).toBe(allowed.uid())
+          fulfill()
         })
       })
-      it("should test the max length", () => {
-        return new Promise(fulfill => {
-          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar").max(3))
-          sinusbot.event.chat({ text: "!test foo" })
-          process.nextTick(() => {
-            expect(mockFn).toBeCalledTimes(1)
-            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "foo" })
-            mockFn.mockClear()
-            sinusbot.event.chat({ text: "!test fooo" })
+    })
+
+    it("should combine requirements with permission handlers", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient().buildModule()
+        testCmd.requireUid(client.uid()).checkPermission(() => false)
+        sinusbot.event.chat({ text: "!test", client })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(0)
+          fulfill()
+        })
+      })
+    })
+
+    it("should retrieve the requirements of the parent CommandGroup", () => {
+      const group = exported.createCommandGroup("group").requireUid("foo")
+      const sub = group.addCommand("sub").requireServerGroup(6, "7")
+      expect(sub.getRequirements()).toEqual([
+        { type: "uid", values: ["foo"] },
+        { type: "servergroup", values: ["6", "7"] }
+      ])
+    })
+
+    it("should display the requirements in the manual", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        testCmd.requireUid(client.buildModule().uid())
+        sinusbot.event.chat({ text: "!man test", client: client.buildModule() })
+        setTimeout(() => {
+          expect(client.chatMock).toBeCalledTimes(1)
+          expect(client.chatMock.mock.calls[0][0]).toContain("one of the clients")
+          expect(client.chatMock.mock.calls[0][0]).toContain(client.buildModule().uid())
+          fulfill()
+        }, 10)
+      })
+    })
+
+  })
+
+  describe("ACL", () => {
+
+    /**
+     * @param {any[]} ACL
+     */
+    const runWithACL = ACL => {
+      sinusbot = new Sinusbot()
+      sinusbot.setScript(script)
+      sinusbot.setConfig({ DEBUGLEVEL: 0, NOT_FOUND_MESSAGE: "0", ACL })
+      exported = sinusbot.run()
+      return exported.createCommand("test").exec(mockFn)
+    }
+
+    it("should deny clients which match a deny rule", () => {
+      return new Promise(fulfill => {
+        const denied = sinusbot.createClient().buildModule()
+        runWithACL([{ commands: "te*", mode: "1", servergroups: [], uids: [denied.uid()], roles: [] }])
+        sinusbot.event.chat({ text: "!test", client: denied })
+        sinusbot.event.chat({ text: "!test", client: sinusbot.createClient().buildModule() })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(1)
+          fulfill()
+        })
+      })
+    })
+
+    it("should only allow clients which match an allow rule", () => {
+      return new Promise(fulfill => {
+        runWithACL([{ commands: "test", mode: "0", servergroups: [], uids: ["allowed"], roles: [] }])
+        sinusbot.event.chat({ text: "!test", client: sinusbot.createClient().buildModule() })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(0)
+          fulfill()
+        })
+      })
+    })
+
+    it("should check the permission handlers of the script additionally", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient().buildModule()
+        runWithACL([{ commands: "test", mode: "0", servergroups: [], uids: [client.uid()], roles: [] }])
+          .checkPermission(() => false)
+        sinusbot.event.chat({ text: "!test", client })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(0)
+          fulfill()
+        })
+      })
+    })
+
+  })
+
+  describe("Command Management", () => {
+
+    /**
+     * @param {string[]} uids
+     */
+    const runWithAdmins = uids => {
+      sinusbot = new Sinusbot()
+      sinusbot.setScript(script)
+      sinusbot.setConfig({ DEBUGLEVEL: 0, NOT_FOUND_MESSAGE: "0", COMMANDS_ADMIN_UIDS: uids })
+      exported = sinusbot.run()
+      return exported.createCommand("test").exec(mockFn)
+    }
+
+    it("should disable and enable a command", () => {
+      return new Promise(fulfill => {
+        const admin = sinusbot.createClient()
+        admin.chatMock = jest.fn()
+        const cmd = runWithAdmins([admin.buildModule().uid()])
+        sinusbot.event.chat({ text: "!commands disable test", client: admin.buildModule() })
+        setTimeout(() => {
+          expect(cmd.isEnabled()).toBe(false)
+          expect(admin.chatMock.mock.calls[0][0]).toContain("has been disabled")
+          sinusbot.event.chat({ text: "!test", client: admin.buildModule() })
+          sinusbot.event.chat({ text: "!commands enable test", client: admin.buildModule() })
+          setTimeout(() => {
             expect(mockFn).toBeCalledTimes(0)
+            expect(cmd.isEnabled()).toBe(true)
             fulfill()
           })
         })
       })
-      it("should test the min length", () => {
-        return new Promise(fulfill => {
-          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar").min(3))
-          sinusbot.event.chat({ text: "!test foo" })
-          process.nextTick(() => {
-            expect(mockFn).toBeCalledTimes(1)
-            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "foo" })
-            mockFn.mockClear()
-            sinusbot.event.chat({ text: "!test fo" })
+    })
+
+    it("should not allow clients without permission to disable a command", () => {
+      return new Promise(fulfill => {
+        const cmd = runWithAdmins(["admin"])
+        sinusbot.event.chat({ text: "!commands disable test", client: sinusbot.createClient().buildModule() })
+        process.nextTick(() => {
+          expect(cmd.isEnabled()).toBe(true)
+          fulfill()
+        })
+      })
+    })
+
+    it("should disable commands which get registered after they have been disabled", () => {
+      return new Promise(fulfill => {
+        const admin = sinusbot.createClient().buildModule()
+        runWithAdmins([admin.uid()])
+        sinusbot.event.chat({ text: "!commands disable test", client: admin })
+        process.nextTick(() => {
+          expect(exported.createCommand("test").isEnabled()).toBe(false)
+          fulfill()
+        })
+      })
+    })
+
+    it("should register the built-in commands with the configured names", () => {
+      sinusbot = new Sinusbot()
+      sinusbot.setScript(script)
+      sinusbot.setConfig({ DEBUGLEVEL: 0, MANAGE_COMMAND: "cmds", STATS_COMMAND: "", AUDIT_COMMAND: "log" })
+      exported = sinusbot.run()
+      const names = exported.collector.getAllCommands().map((/** @type {any} */ cmd) => cmd.getCommandName())
+      expect(names).toEqual(expect.arrayContaining(["cmds", "log", "confirm"]))
+      expect(names).not.toContain("commands")
+      expect(names).not.toContain("stats")
+      expect(names).not.toContain("audit")
+    })
+
+    it("should replace a built-in command with a command of a script", () => {
+      return new Promise(fulfill => {
+        const stats = exported.createCommand("stats").exec(mockFn)
+        sinusbot.event.chat({ text: "!stats" })
+        setTimeout(() => {
+          expect(mockFn).toBeCalledTimes(1)
+          expect(exported.collector.getAllCommands().filter((/** @type {any} */ cmd) => cmd.getCommandName() === "stats")).toEqual([stats])
+          fulfill()
+        })
+      })
+    })
+
+  })
+
+  describe("Statistics", () => {
+
+    it("should record successful and failed invocations", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient().buildModule()
+        testCmd.addArgument((/** @type {object} */ args) => args.number.setName("num"))
+        sinusbot.event.chat({ text: "!test 1", client })
+        sinusbot.event.chat({ text: "!test foo", client })
+        setTimeout(() => {
+          const stats = exported.collector.getStats("test")
+          expect(stats.count).toBe(2)
+          expect(stats.success).toBe(1)
+          expect(stats.failed).toBe(1)
+          expect(stats.errors).toEqual({ ParseError: 1 })
+          expect(stats.users).toEqual([{ uid: client.uid(), name: client.name(), count: 2 }])
+          fulfill()
+        }, 10)
+      })
+    })
+
+    it("should not count the time waiting for an answer to the latency", () => {
+      return new Promise(fulfill => {
+        exported.createCommand("ask").exec(async (/** @type {any} */ invoker, /** @type {any} */ args, /** @type {any} */ reply, /** @type {any} */ ev, /** @type {any} */ ctx) => {
+          await ctx.prompt("Which one?", (/** @type {any} */ arg) => arg.string, { timeout: 50 }).catch(() => null)
+        })
+        sinusbot.event.chat({ text: "!ask" })
+        setTimeout(() => {
+          const stats = exported.collector.getStats("ask")
+          expect(stats.count).toBe(1)
+          expect(stats.latency.max).toBeLessThan(50)
+          fulfill()
+        }, 100)
+      })
+    })
+
+    it("should calculate latency percentiles", () => {
+      const statistics = exported.collector.getStatistics()
+      const client = sinusbot.createClient().buildModule()
+      for (let i = 1; i <= 10; i++) statistics.record("foo", client, i * 10)
+      expect(exported.collector.getStats("foo").latency).toEqual({ min: 10, avg: 55, p50: 50, p90: 90, p99: 100, max: 100 })
+    })
+
+    it("should retrieve all commands sorted by their invocations", () => {
+      const statistics = exported.collector.getStatistics()
+      const client = sinusbot.createClient().buildModule()
+      statistics.record("foo", client, 1).record("bar", client, 1).record("bar", client, 1)
+      expect(exported.collector.getStats().map((/** @type {any} */ stats) => stats.command)).toEqual(["bar", "foo"])
+    })
+
+  })
+
+  describe("Audit Log", () => {
+
+    it("should only record audited commands", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient().buildModule()
+        exported.createCommand("kick").audit()
+          .addArgument((/** @type {object} */ args) => args.string.setName("target"))
+          .exec(() => {})
+        sinusbot.event.chat({ text: "!test", client })
+        sinusbot.event.chat({ text: "!kick foo", client })
+        setTimeout(() => {
+          const entries = exported.collector.getAuditLog().query()
+          expect(entries).toHaveLength(1)
+          expect(entries[0]).toMatchObject({
+            command: "kick",
+            uid: client.uid(),
+            text: "!kick foo",
+            arguments: { target: "foo" },
+            success: true,
+            error: null
+          })
+          fulfill()
+        }, 10)
+      })
+    })
+
+    it("should record failed invocations of sub commands", () => {
+      return new Promise(fulfill => {
+        exported.createCommandGroup("mod").audit()
+          .addCommand("ban")
+          .exec(() => {
+            throw new Error("nope")
+          })
+        sinusbot.event.chat({ text: "!mod ban" })
+        setTimeout(() => {
+          const [entry] = exported.collector.getAuditLog().query({ command: "mod" })
+          expect(entry.command).toBe("mod ban")
+          expect(entry.success).toBe(false)
+          expect(entry.error).toBe("Error: nope")
+          fulfill()
+        }, 10)
+      })
+    })
+
+    it("should list an entry which matches the client and the command only once", () => {
+      return new Promise(fulfill => {
+        const admin = sinusbot.createClient()
+        admin.chatMock = jest.fn()
+        sinusbot = new Sinusbot()
+        sinusbot.setScript(script)
+        sinusbot.setConfig({ DEBUGLEVEL: 0, COMMANDS_ADMIN_UIDS: [admin.buildModule().uid()] })
+        exported = sinusbot.run()
+        exported.collector.getAuditLog().add({ timestamp: 1, command: "kick", uid: "uid", name: "kick", text: "!kick foo", arguments: {}, mode: 1, channel: null, success: true, error: null, duration: 0 })
+        sinusbot.event.chat({ text: "!audit kick", client: admin.buildModule() })
+        setTimeout(() => {
+          expect(admin.chatMock).toBeCalledTimes(1)
+          expect(admin.chatMock.mock.calls[0][0].match(/!kick foo/g)).toHaveLength(1)
+          fulfill()
+        })
+      })
+    })
+
+    it("should remove the oldest entries when the size has been exceeded", () => {
+      const auditLog = exported.collector.getAuditLog()
+      for (let i = 0; i < 2000; i++) {
+        auditLog.add({ timestamp: i, command: "foo", uid: "uid", name: "name", text: "!foo", arguments: {}, mode: 1, channel: null, success: true, error: null, duration: 0 })
+      }
+      const entries = auditLog.query({ limit: 5000 })
+      expect(entries.length).toBeGreaterThanOrEqual(1000)
+      expect(entries.length).toBeLessThan(2000)
+      expect(entries[0].timestamp).toBe(1999)
+    })
+
+  })
+
+  describe("Prompt", () => {
+
+    it("should resolve with the parsed answer and not handle it as command", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        const answered = jest.fn()
+        exported.createCommand("ask").exec(async (/** @type {any} */ invoker, /** @type {any} */ args, /** @type {any} */ reply, /** @type {any} */ ev, /** @type {any} */ ctx) => {
+          answered(await ctx.prompt("How many?", (/** @type {any} */ arg) => arg.number.integer()))
+        })
+        sinusbot.event.chat({ text: "!ask", client: client.buildModule() })
+        setTimeout(() => {
+          expect(client.chatMock).toBeCalledWith("How many?")
+          sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+          sinusbot.event.chat({ text: "5", client: client.buildModule() })
+          setTimeout(() => {
+            expect(mockFn).toBeCalledTimes(0)
+            expect(answered).toBeCalledWith(5)
+            fulfill()
+          }, 10)
+        }, 10)
+      })
+    })
+
+    it("should cancel the prompt with a cancel keyword", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        const answered = jest.fn()
+        exported.createCommand("ask").exec(async (/** @type {any} */ invoker, /** @type {any} */ args, /** @type {any} */ reply, /** @type {any} */ ev, /** @type {any} */ ctx) => {
+          answered(await ctx.prompt("Which one?", (/** @type {any} */ arg) => arg.string))
+        })
+        sinusbot.event.chat({ text: "!ask", client: client.buildModule() })
+        setTimeout(() => {
+          sinusbot.event.chat({ text: "cancel", client: client.buildModule() })
+          setTimeout(() => {
+            expect(answered).toBeCalledTimes(0)
+            expect(client.chatMock).toHaveBeenLastCalledWith("The command has been cancelled")
+            fulfill()
+          }, 10)
+        }, 10)
+      })
+    })
+
+    it("should ask again with the configured cancel words after an invalid answer", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        exported.createCommand("ask").exec((/** @type {any} */ invoker, /** @type {any} */ args, /** @type {any} */ reply, /** @type {any} */ ev, /** @type {any} */ ctx) => {
+          return ctx.prompt("How many?", (/** @type {any} */ arg) => arg.number, { cancel: ["stop"], timeout: 50 })
+        })
+        sinusbot.event.chat({ text: "!ask", client: client.buildModule() })
+        setTimeout(() => {
+          sinusbot.event.chat({ text: "foo", client: client.buildModule() })
+          setTimeout(() => {
+            const [message] = client.chatMock.mock.calls[client.chatMock.mock.calls.length - 1]
+            expect(message).toContain("Invalid answer: \"foo\" is not a valid number")
+            expect(message).toMatch(/cancel with \S*stop/)
+            fulfill()
+          }, 10)
+        }, 10)
+      })
+    })
+
+    it("should abort the command when no answer has been received", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        exported.createCommand("ask").exec((/** @type {any} */ invoker, /** @type {any} */ args, /** @type {any} */ reply, /** @type {any} */ ev, /** @type {any} */ ctx) => {
+          return ctx.prompt("Which one?", (/** @type {any} */ arg) => arg.string, { timeout: 10 })
+        })
+        sinusbot.event.chat({ text: "!ask", client: client.buildModule() })
+        setTimeout(() => {
+          expect(client.chatMock).toHaveBeenLastCalledWith("No answer received, the command has been aborted!")
+          sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+          setTimeout(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            fulfill()
+          })
+        }, 50)
+      })
+    })
+
+  })
+
+  describe("Confirmation", () => {
+
+    it("should execute the command after it has been confirmed", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        testCmd.addArgument((/** @type {object} */ args) => args.number.setName("count"))
+          .requireConfirmation("This will delete {count} messages")
+        sinusbot.event.chat({ text: "!test 200", client: client.buildModule() })
+        setTimeout(() => {
+          expect(mockFn).toBeCalledTimes(0)
+          expect(client.chatMock.mock.calls[0][0]).toContain("This will delete 200 messages")
+          sinusbot.event.chat({ text: "!confirm", client: client.buildModule() })
+          setTimeout(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ count: 200 })
+            fulfill()
+          }, 10)
+        }, 10)
+      })
+    })
+
+    it("should not confirm the command of another client", () => {
+      return new Promise(fulfill => {
+        testCmd.requireConfirmation("Are you sure?")
+        sinusbot.event.chat({ text: "!test", client: sinusbot.createClient().buildModule() })
+        setTimeout(() => {
+          sinusbot.event.chat({ text: "!confirm", client: sinusbot.createClient().buildModule() })
+          setTimeout(() => {
+            expect(mockFn).toBeCalledTimes(0)
+            fulfill()
+          }, 10)
+        }, 10)
+      })
+    })
+
+    it("should check the throttle before asking for a confirmation", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        const throttle = exported.createThrottle()
+          .initialPoints(1)
+          .penaltyPerCommand(1)
+          .restorePerTick(1)
+          .tickRate(1000)
+        testCmd.addThrottle(throttle).requireConfirmation("Are you sure?")
+        sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+        setTimeout(() => {
+          sinusbot.event.chat({ text: "!confirm", client: client.buildModule() })
+          sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+          setTimeout(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(client.chatMock).toBeCalledTimes(2)
+            expect(client.chatMock.mock.calls[1][0]).toContain("You can use this command again")
+            fulfill()
+          }, 10)
+        }, 10)
+      })
+    })
+
+    it("should discard the command when it has not been confirmed in time", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        testCmd.requireConfirmation("Are you sure?", 10)
+        sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+        setTimeout(() => {
+          expect(client.chatMock.mock.calls[1][0]).toContain("has not been confirmed in time")
+          sinusbot.event.chat({ text: "!confirm", client: client.buildModule() })
+          setTimeout(() => {
+            expect(mockFn).toBeCalledTimes(0)
+            fulfill()
+          }, 10)
+        }, 50)
+      })
+    })
+
+  })
+
+  describe("Help", () => {
+
+    beforeEach(() => {
+      sinusbot = new Sinusbot()
+      sinusbot.setScript(script)
+      sinusbot.setConfig({ DEBUGLEVEL: 0, NOT_FOUND_MESSAGE: "0", HELP_PAGE_SIZE: 2 })
+      exported = sinusbot.run()
+      const names = ["play", "pause", "skip"]
+      names.forEach(name => exported.createCommand(name).help(`music ${name}`).category("Music"))
+    })
+
+    it("should inherit the category of the parent CommandGroup", () => {
+      const group = exported.createCommandGroup("mod").category("admin")
+      const cmd = group.addCommand("kick")
+      expect(cmd.getCategory()).toBe("admin")
+      expect(exported.createCommand("foo").getCategory()).toBe(null)
+    })
+
+    it("should list the available categories", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        sinusbot.event.chat({ text: "!help", client: client.buildModule() })
+        setTimeout(() => {
+          expect(client.chatMock.mock.calls[0][0]).toMatch(/2\S* Categories found/)
+          expect(client.chatMock.mock.calls[1][0]).toMatch(/music\S* 3 Commands/)
+          fulfill()
+        }, 10)
+      })
+    })
+
+    it("should list the commands of a category on multiple pages", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        sinusbot.event.chat({ text: "!help music 2", client: client.buildModule() })
+        setTimeout(() => {
+          expect(client.chatMock.mock.calls[0][0]).toMatch(/3\S* Commands found/)
+          expect(client.chatMock.mock.calls[1][0]).toContain("!skip")
+          expect(client.chatMock.mock.calls[1][0]).not.toContain("!play")
+          expect(client.chatMock.mock.calls[2][0]).toBe("Page 2 of 2")
+          fulfill()
+        }, 10)
+      })
+    })
+
+    it("should reply the manual as text on teamspeak", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        sinusbot.event.chat({ text: "!man play", client: client.buildModule() })
+        setTimeout(() => {
+          expect(client.chatMock).toBeCalledTimes(1)
+          expect(client.chatMock.mock.calls[0][0]).toContain("Manual for command")
+          expect(client.chatMock.mock.calls[0][0]).toContain("music play")
+          fulfill()
+        }, 10)
+      })
+    })
+
+  })
+
+  describe("Embeds", () => {
+
+    /**
+     * loads the script with a discord backend
+     * since the test environment only emulates a teamspeak backend
+     */
+    const runOnDiscord = () => {
+      const createMessage = jest.fn()
+      /** @type {Record<string, (ev: any) => void>} */
+      const handlers = {}
+      const client = { chat: jest.fn(), isSelf: () => false, uid: () => "123/456", name: () => "client", getServerGroups: () => [] }
+      const channel = { id: () => "123/1", name: () => "general", chat: jest.fn() }
+      /** @type {Record<string, any>} */
+      const modules = {
+        engine: { log: () => null, getBackend: () => "discord", getCommandPrefix: () => "!" },
+        event: { on: (/** @type {string} */ name, /** @type {(ev: any) => void} */ cb) => (handlers[name] = cb) },
+        backend: { extended: () => ({ createMessage }), getBotClientID: () => "123/789" },
+        format: { bold: (/** @type {string} */ text) => text, code: (/** @type {string} */ text) => text },
+        store: { get: () => undefined, set: () => null }
+      }
+      const context = vm.createContext({
+        require: (/** @type {string} */ name) => modules[name],
+        module: { exports: {} },
+        registerPlugin: (/** @type {any} */ manifest, /** @type {Function} */ main) => {
+          /** @type {Record<string, any>} */
+          const config = {}
+          manifest.vars.forEach((/** @type {any} */ v) => (config[v.name] = v.default))
+          main(null, { ...config, DEBUGLEVEL: 0 }, { version: manifest.version })
+        },
+        setTimeout, clearTimeout, setInterval, clearInterval
+      })
+      vm.runInContext(script, context)
+      /**
+       * sends a message in the channel
+       * @param {string} text
+       */
+      const chat = text => handlers.message({ author: () => client, content: () => text, channel: () => channel, channelID: () => "1", guildID: () => "123" })
+      return { exported: context.module.exports, chat, createMessage }
+    }
+
+    it("should send help, man and error replies as embeds on discord", () => {
+      return new Promise(fulfill => {
+        const { exported, chat, createMessage } = runOnDiscord()
+        exported.createCommand("play")
+          .help("plays a song")
+          .addArgument((/** @type {object} */ args) => args.number.setName("volume"))
+          .exec(jest.fn())
+        chat("!help")
+        chat("!man play")
+        chat("!play loud")
+        setTimeout(() => {
+          /** @type {any[]} */
+          const embeds = createMessage.mock.calls.map(call => call[1].embed)
+          expect(createMessage.mock.calls.every(call => call[0] === "1")).toBe(true)
+          expect(embeds).toHaveLength(3)
+          const help = embeds.find(embed => embed.title === "4 Commands found:")
+          expect(help.fields).toContainEqual({ name: "!play", value: "plays a song" })
+          expect(help.footer).toBeUndefined()
+          const man = embeds.find(embed => embed.title === "Manual for command: !play")
+          expect(man.description).toBe("plays a song")
+          expect(man.fields).toContainEqual({ name: "Usage:", value: "play <volume>" })
+          expect(man.fields).toContainEqual({ name: "Arguments:", value: "<volume> mandatory" })
+          const error = embeds.find(embed => embed.title === undefined)
+          expect(error.color).toBe(0xe74c3c)
+          expect(error.description).toContain("Invalid value for <volume>")
+          fulfill()
+        }, 10)
+      })
+    })
+
+  })
+
+  describe("Chat Restrictions", () => {
+
+    it("should execute a command in an allowed chat", () => {
+      return new Promise(fulfill => {
+        testCmd.allowIn("private", "channel")
+        sinusbot.event.chat({ text: "!test", client: sinusbot.createClient().buildModule() })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(1)
+          fulfill()
+        })
+      })
+    })
+
+    it("should not execute a command in a chat which is not allowed", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        testCmd.allowIn("server")
+        sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(0)
+          expect(client.chatMock.mock.calls[0][0]).toContain("can only be used in the")
+          fulfill()
+        })
+      })
+    })
+
+    it("should not execute a command outside of its channels", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        testCmd.onlyInChannels("5")
+        sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(0)
+          expect(client.chatMock.mock.calls[0][0]).toContain("can only be used in the channels")
+          fulfill()
+        })
+      })
+    })
+
+    it("should apply the restrictions of a CommandGroup to its sub commands", () => {
+      const group = exported.createCommandGroup("group").allowIn("server")
+      const cmd = group.addCommand("sub")
+      expect(cmd.isAvailableIn({ mode: 1 })).toBe(false)
+      expect(cmd.isAvailableIn({ mode: 3 })).toBe(true)
+    })
+
+    it("should check the channel of the message when the command is restricted to channels", () => {
+      testCmd.onlyInChannels("5")
+      expect(testCmd.getChannels()).toEqual(["5"])
+      expect(testCmd.isAvailableIn({ mode: 2 })).toBe(false)
+      expect(testCmd.isAvailableIn({ mode: 1, channel: { id: () => "5" } })).toBe(false)
+      expect(testCmd.isAvailableIn({ mode: 2, channel: { id: () => "123/5" } })).toBe(true)
+    })
+
+    it("should throw on an invalid chat", () => {
+      expect(() => testCmd.allowIn("foo")).toThrow()
+    })
+
+  })
+
+  describe("Reply", () => {
+
+    it("should reply a code block", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        testCmd.exec((/** @type {object} */ invoker, /** @type {object} */ args, /** @type {any} */ reply) => reply.code("foo"))
+        sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+        process.nextTick(() => {
+          expect(client.chatMock).toBeCalledTimes(1)
+          expect(client.chatMock.mock.calls[0][0]).toContain("foo")
+          fulfill()
+        })
+      })
+    })
+
+    it("should always reply privately to the client", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        testCmd.exec((/** @type {object} */ invoker, /** @type {object} */ args, /** @type {any} */ reply) => reply.private("foo"))
+        sinusbot.event.chat({ text: "!test", client: client.buildModule(), mode: 3 })
+        process.nextTick(() => {
+          expect(client.chatMock).toBeCalledTimes(1)
+          expect(client.chatMock.mock.calls[0][0]).toBe("foo")
+          fulfill()
+        })
+      })
+    })
+
+  })
+
+  describe("Middleware", () => {
+
+    it("should run global and command middlewares in order", () => {
+      return new Promise(fulfill => {
+        /** @type {string[]} */
+        const order = []
+        exported.collector.use((/** @type {any} */ ctx, /** @type {any} */ next) => {
+          order.push(`global ${ctx.args}`)
+          return next()
+        })
+        testCmd.addArgument((/** @type {object} */ args) => args.number.setName("num"))
+        testCmd.use((/** @type {any} */ ctx, /** @type {any} */ next) => {
+          order.push(`command ${ctx.arguments.num}`)
+          ctx.arguments.num *= 2
+          return next()
+        })
+        sinusbot.event.chat({ text: "!test 2" })
+        process.nextTick(() => {
+          expect(order).toEqual(["global 2", "command 2"])
+          expect(mockFn).toBeCalledTimes(1)
+          expect(mockFn.mock.calls[0][1]).toEqual({ num: 4 })
+          fulfill()
+        })
+      })
+    })
+
+    it("should stop the dispatching when next has not been called", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        exported.collector.use((/** @type {any} */ ctx) => ctx.reply("maintenance"))
+        sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(0)
+          expect(client.chatMock).toBeCalledWith("maintenance")
+          fulfill()
+        })
+      })
+    })
+
+    it("should send errors through a reply function wrapped by a middleware", () => {
+      return new Promise(fulfill => {
+        const wrapped = jest.fn()
+        testCmd.checkPermission(() => false)
+        exported.collector.use((/** @type {any} */ ctx, /** @type {any} */ next) => {
+          ctx.reply = wrapped
+          return next()
+        })
+        sinusbot.event.chat({ text: "!test" })
+        setTimeout(() => {
+          expect(mockFn).toBeCalledTimes(0)
+          expect(wrapped).toBeCalledTimes(1)
+          fulfill()
+        })
+      })
+    })
+
+    it("should run the middleware of a CommandGroup for its sub commands", () => {
+      return new Promise(fulfill => {
+        const middleware = jest.fn((/** @type {any} */ ctx, /** @type {any} */ next) => next())
+        const group = exported.createCommandGroup("foo").use(middleware)
+        group.addCommand("bar").exec(mockFn)
+        sinusbot.event.chat({ text: "!foo bar" })
+        process.nextTick(() => {
+          expect(middleware).toBeCalledTimes(1)
+          expect(mockFn).toBeCalledTimes(1)
+          fulfill()
+        })
+      })
+    })
+  })
+
+  describe("Error Handler", () => {
+
+    it("should reply the string returned by an error handler", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        testCmd.checkPermission(() => false).onError(() => "custom error")
+        sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+        process.nextTick(() => {
+          expect(client.chatMock).toBeCalledTimes(1)
+          expect(client.chatMock).toBeCalledWith("custom error")
+          fulfill()
+        })
+      })
+    })
+
+    it("should suppress the default message", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        exported.collector.onError(() => true)
+        testCmd.checkPermission(() => false)
+        sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+        process.nextTick(() => {
+          expect(client.chatMock).toBeCalledTimes(0)
+          fulfill()
+        })
+      })
+    })
+
+    it("should fall back to the default message", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient()
+        client.chatMock = jest.fn()
+        const handler = jest.fn()
+        testCmd.checkPermission(() => false).onError(handler)
+        exported.collector.onError(handler)
+        sinusbot.event.chat({ text: "!test", client: client.buildModule() })
+        process.nextTick(() => {
+          expect(handler).toBeCalledTimes(2)
+          expect(client.chatMock).toBeCalledTimes(1)
+          expect(client.chatMock.mock.calls[0][0]).toContain("You do not have permissions")
+          fulfill()
+        })
+      })
+    })
+  })
+
+  describe("Throttle", () => {
+
+    /** @type {any} */
+    let throttle = null
+
+    beforeEach(() => {
+      throttle = exported.createThrottle()
+        .initialPoints(1)
+        .penaltyPerCommand(1)
+        .restorePerTick(1)
+        .tickRate(1000)
+    })
+
+    afterEach(() => throttle.stop())
+
+    it("should throttle each client on its own by default", () => {
+      const client1 = sinusbot.createClient().buildModule()
+      const client2 = sinusbot.createClient().buildModule()
+      throttle.throttle(client1)
+      expect(throttle.isThrottled(client1)).toBe(true)
+      expect(throttle.isThrottled(client2)).toBe(false)
+    })
+
+    it("should throttle all clients with the global scope", () => {
+      const client1 = sinusbot.createClient().buildModule()
+      const client2 = sinusbot.createClient().buildModule()
+      throttle.scope("global").throttle(client1)
+      expect(throttle.isThrottled(client2)).toBe(true)
+      expect(throttle.timeTillNextCommand(client2)).toBeGreaterThan(0)
+    })
+
+    it("should throttle all clients in the same channel with the channel scope", () => {
+      const client1 = sinusbot.createClient().buildModule()
+      const client2 = sinusbot.createClient().buildModule()
+      /** @type {any} */
+      const channel1 = { id: () => "1" }
+      /** @type {any} */
+      const channel2 = { id: () => "2" }
+      throttle.scope("channel").throttle(client1, { client: client1, channel: channel1, text: "!test", mode: 2 })
+      expect(throttle.isThrottled(client2, { client: client2, channel: channel1, text: "!test", mode: 2 })).toBe(true)
+      expect(throttle.isThrottled(client2, { client: client2, channel: channel2, text: "!test", mode: 2 })).toBe(false)
+    })
+
+    it("should throttle all clients of the teamspeak server together with the server scope", () => {
+      const client1 = sinusbot.createClient().buildModule()
+      const client2 = sinusbot.createClient().buildModule()
+      throttle.scope("server").throttle(client1, { client: client1, text: "!test", mode: 1 })
+      expect(throttle.isThrottled(client2, { client: client2, text: "!test", mode: 1 })).toBe(true)
+      expect(throttle.isThrottled(client2)).toBe(true)
+    })
+
+    it("should throttle a command with a custom scope", () => {
+      return new Promise(fulfill => {
+        const scope = jest.fn(() => "tts")
+        testCmd.addThrottle(throttle.scope(scope))
+        sinusbot.event.chat({ text: "!test", client: sinusbot.createClient().buildModule() })
+        sinusbot.event.chat({ text: "!test", client: sinusbot.createClient().buildModule() })
+        process.nextTick(() => {
+          expect(mockFn).toBeCalledTimes(1)
+          expect(scope.mock.calls[0][0].text).toBe("!test")
+          fulfill()
+        })
+      })
+    })
+
+    it("should restore a persistent throttle", () => {
+      const client = sinusbot.createClient().buildModule()
+      throttle.persistent("test").throttle(client)
+      const restored = exported.createThrottle()
+        .initialPoints(1)
+        .tickRate(1000)
+        .persistent("test")
+      expect(restored.isThrottled(client)).toBe(true)
+      expect(restored.timeTillNextCommand(client)).toBeGreaterThan(0)
+    })
+
+    it("should recalculate the points of a restored throttle from the elapsed time", () => {
+      return new Promise(fulfill => {
+        const client = sinusbot.createClient().buildModule()
+        throttle.tickRate(10).persistent("test").throttle(client)
+        setTimeout(() => {
+          const restored = exported.createThrottle()
+            .initialPoints(1)
+            .restorePerTick(1)
+            .tickRate(10)
+            .persistent("test")
+          expect(restored.isThrottled(client)).toBe(false)
+          expect(restored.timeTillNextCommand(client)).toBe(0)
+          fulfill()
+        }, 30)
+      })
+    })
+
+    it("should throw when a persistent throttle has no name", () => {
+      expect(() => throttle.persistent("")).toThrowError()
+      expect(() => throttle.persistent()).toThrowError()
+    })
+
+    it("should throw on an unknown scope", () => {
+      expect(() => throttle.scope("foo")).toThrowError()
+    })
+  })
+
+  describe("Arguments", () => {
+
+    describe("ClientArgument", () => {
+
+      it("should parse a client uid", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.client.setName("target"))
+            .addArgument((/** @type {object} */ args) => args.rest.setName("reason"))
+          sinusbot.event.chat({ text: "!test NF61yPIiDvYuOJ/Bbeod84bw6dE= spam" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ target: "NF61yPIiDvYuOJ/Bbeod84bw6dE=", reason: "spam" })
+            fulfill()
+          })
+        })
+      })
+
+      it("should parse a client url which contains spaces", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.client.setName("target"))
+            .addArgument((/** @type {object} */ args) => args.rest.setName("reason"))
+          sinusbot.event.chat({ text: "!test [URL=client://5/NF61yPIiDvYuOJ/Bbeod84bw6dE=~Some Name]Some Name[/URL] spam" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ target: "NF61yPIiDvYuOJ/Bbeod84bw6dE=", reason: "spam" })
+            fulfill()
+          })
+        })
+      })
+
+      it("should not execute the command when an unterminated quoted name has been given", () => {
+        return new Promise(fulfill => {
+          const client = sinusbot.createClient()
+          client.chatMock = jest.fn()
+          testCmd.addArgument((/** @type {object} */ args) => args.client.setName("target"))
+          sinusbot.event.chat({ text: "!test \"Some Name", client: client.buildModule() })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(0)
+            expect(client.chatMock.mock.calls[0][0]).toContain("Unterminated quote")
+            fulfill()
+          })
+        })
+      })
+    })
+
+    describe("ChannelArgument", () => {
+
+      it("should create a channel argument", () => {
+        expect(exported.createArgument("channel").setName("target").getManual()).toBe("<target>")
+      })
+
+      /**
+       * loads the script with a backend which knows the given channels
+       * since the test environment only emulates a teamspeak backend without channels
+       * @param {"ts3"|"discord"} type the backend which should be emulated
+       * @param {string[]} names the channel names, the ids get assigned in order starting at 1
+       */
+      const createChannelArgument = (type, names) => {
+        const guild = type === "discord" ? "123/" : ""
+        const channels = names.map((name, index) => ({ id: () => `${guild}${index + 1}`, name: () => name }))
+        /** @type {Record<string, any>} */
+        const modules = {
+          engine: { log: () => null, getBackend: () => type, getCommandPrefix: () => "!" },
+          event: { on: () => null },
+          backend: {
+            getBotClientID: () => `${guild}789`,
+            getChannels: () => channels,
+            getChannelByID: (/** @type {string} */ id) => channels.find(channel => channel.id() === id)
+          },
+          format: {},
+          store: { get: () => undefined, set: () => null }
+        }
+        const context = vm.createContext({
+          require: (/** @type {string} */ name) => modules[name],
+          module: { exports: {} },
+          registerPlugin: (/** @type {any} */ manifest, /** @type {Function} */ main) => {
+            /** @type {Record<string, any>} */
+            const config = {}
+            manifest.vars.forEach((/** @type {any} */ v) => (config[v.name] = v.default))
+            main(null, { ...config, DEBUGLEVEL: 0 }, { version: manifest.version })
+          },
+          setTimeout, clearTimeout, setInterval, clearInterval
+        })
+        vm.runInContext(script, context)
+        return context.module.exports.createArgument("channel").setName("target")
+      }
+
+      it("should resolve a teamspeak channel url", () => {
+        const arg = createChannelArgument("ts3", ["Lobby", "AFK"])
+        const [channel, rest] = arg.validate("[URL=channelid://2]AFK Channel[/URL] idle")
+        expect(channel.id()).toBe("2")
+        expect(rest).toBe("idle")
+      })
+
+      it("should resolve a teamspeak channel id and a (partial) channel name", () => {
+        const arg = createChannelArgument("ts3", ["Lobby", "AFK"])
+        expect(arg.validate("2")[0].id()).toBe("2")
+        expect(arg.validate("lob")[0].id()).toBe("1")
+        expect(arg.validate("\"afk\"")[0].id()).toBe("2")
+      })
+
+      it("should resolve a discord channel mention, id and name", () => {
+        const arg = createChannelArgument("discord", ["general", "music"])
+        expect(arg.validate("<#2>")[0].id()).toBe("123/2")
+        expect(arg.validate("1")[0].id()).toBe("123/1")
+        expect(arg.validate("music")[0].id()).toBe("123/2")
+      })
+
+      it("should throw when a channel name is ambiguous", () => {
+        const arg = createChannelArgument("ts3", ["Music 1", "Music 2"])
+        expect(() => arg.validate("music")).toThrow(`Channel name "music" is ambiguous, found Music 1, Music 2`)
+      })
+
+      it("should not execute the command when no channel has been found", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.channel.setName("target"))
+          sinusbot.event.chat({ text: "!test this-channel-does-not-exist" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(0)
+            fulfill()
+          })
+        })
+      })
+    })
+
+    describe("ChoiceArgument", () => {
+
+      it("should map synonyms to the canonical choice", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.choice({ chat: ["c", "msg"], poke: ["p"] }).setName("action"))
+          sinusbot.event.chat({ text: "!test MSG" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ action: "chat" })
+            fulfill()
+          })
+        })
+      })
+      it("should not execute the command with an invalid choice", () => {
+        return new Promise(fulfill => {
+          const client = sinusbot.createClient()
+          client.chatMock = jest.fn()
+          testCmd.addArgument((/** @type {object} */ args) => args.choice({ chat: ["c", "msg"], poke: ["p"] }).setName("action"))
+          sinusbot.event.chat({ text: "!test kick", client: client.buildModule() })
+          setTimeout(() => {
+            expect(mockFn).toBeCalledTimes(0)
+            expect(client.chatMock.mock.calls[0][0]).toContain("Allowed choices: chat (c, msg), poke (p)")
+            fulfill()
+          })
+        })
+      })
+      it("should list the choices in the manual and the parse error", () => {
+        const arg = exported.createArgument("choice").choices({ chat: ["c", "msg"], poke: ["p"] }).setName("action")
+        expect(arg.getManual()).toBe("<action:chat|poke>")
+        expect(() => arg.validate("kick")).toThrow(`Invalid choice "kick". Allowed choices: chat (c, msg), poke (p)`)
+      })
+    })
+
+    describe("BooleanArgument", () => {
+
+      it("should parse synonyms of true and false", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.boolean.setName("a"))
+          testCmd.addArgument((/** @type {object} */ args) => args.boolean.setName("b"))
+          sinusbot.event.chat({ text: "!test on 0" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ a: true, b: false })
+            fulfill()
+          })
+        })
+      })
+      it("should display the manual", () => {
+        expect(exported.createArgument("boolean").setName("enabled").optional(false).getManual()).toBe("[enabled:true|false=false]")
+      })
+      it("should not allow to change the choices", () => {
+        expect(() => exported.createArgument("boolean").choices(["maybe"])).toThrowError()
+      })
+    })
+
+    describe("DateTimeArgument", () => {
+
+      it("should parse an absolute date in the given timezone", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.datetime.setName("when").timezone("+02:00"))
+          testCmd.addArgument((/** @type {object} */ args) => args.rest.setName("text"))
+          sinusbot.event.chat({ text: "!test 2026-10-20 18:00 party" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ when: Date.UTC(2026, 9, 20, 16), text: "party" })
+            fulfill()
+          })
+        })
+      })
+      it("should parse a relative date", () => {
+        return new Promise(fulfill => {
+          const now = Date.now()
+          testCmd.addArgument((/** @type {object} */ args) => args.datetime.setName("when"))
+          sinusbot.event.chat({ text: "!test in 2 hours" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1].when - now).toBeGreaterThanOrEqual(2 * 60 * 60 * 1000)
+            expect(mockFn.mock.calls[0][1].when - now).toBeLessThan(2 * 60 * 60 * 1000 + 1000)
+            fulfill()
+          })
+        })
+      })
+      it("should parse a time relative to today and tomorrow", () => {
+        const arg = exported.createArgument("datetime").setName("when").timezone("UTC")
+        const today = new Date()
+        const [time] = arg.validate("9:30pm")
+        const [tomorrow] = arg.validate("tomorrow 9am")
+        expect(time).toBe(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), 21, 30))
+        expect(tomorrow).toBe(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + 1, 9))
+      })
+      it("should test the future and past constraints", () => {
+        expect(() => exported.createArgument("datetime").setName("when").future().validate("2020-01-01 10:00")).toThrow("Date is not in the future! Got 2020-01-01 10:00")
+        expect(() => exported.createArgument("datetime").setName("when").past().validate("in 1h")).toThrow(/^Date is not in the past!/)
+        expect(exported.createArgument("datetime").setName("when").future().validate("00:00")[0]).toBeGreaterThan(Date.now())
+      })
+      it("should throw precise parse errors", () => {
+        const arg = exported.createArgument("datetime").setName("when")
+        expect(() => arg.validate("2026-02-30")).toThrow("Invalid date 2026-2-30")
+        expect(() => arg.validate("13pm")).toThrow("Invalid hour 13 for a 12-hour time, expected 1 to 12")
+        expect(() => arg.validate("foo bar")).toThrow(`"foo" is not a valid date, expected something like 2026-10-20 18:00, 18:00, tomorrow 9am or in 2 hours`)
+      })
+      it("should display the usage", () => {
+        testCmd.addArgument((/** @type {object} */ args) => args.datetime.setName("when").timezone("UTC").optional(Date.UTC(2026, 0, 1, 12)))
+        expect(testCmd.getUsage()).toBe("test [when=2026-01-01 12:00]")
+      })
+    })
+
+    describe("DurationArgument", () => {
+
+      it("should parse compound durations", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.duration.setName("time"))
+          sinusbot.event.chat({ text: "!test 1h30m" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ time: 5400000 })
+            fulfill()
+          })
+        })
+      })
+      it("should use the default unit for plain numbers", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.duration.setName("time").unit("m"))
+          sinusbot.event.chat({ text: "!test 90" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ time: 5400000 })
+            fulfill()
+          })
+        })
+      })
+      it("should test the min and max duration", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.duration.setName("time").min("1m").max("1d"))
+          sinusbot.event.chat({ text: "!test 30s" })
+          sinusbot.event.chat({ text: "!test 2d" })
+          setTimeout(() => {
+            expect(mockFn).toBeCalledTimes(0)
+            sinusbot.event.chat({ text: "!test 1d" })
+            setTimeout(() => {
+              expect(mockFn).toBeCalledTimes(1)
+              expect(mockFn.mock.calls[0][1]).toEqual({ time: 86400000 })
+              fulfill()
+            })
+          })
+        })
+      })
+      it("should throw precise parse errors", () => {
+        const arg = exported.createArgument("duration").setName("time").max("1h")
+        expect(() => arg.validate("5x")).toThrow(`Unknown unit "x" in duration "5x", expected one of ms, s, m, h, d, w`)
+        expect(() => arg.validate("foo")).toThrow(`"foo" is not a valid duration, expected something like 90s, 1h30m or 2d`)
+        expect(() => arg.validate("1h30m")).toThrow("Duration too long! Expected at most 1h, but got 1h 30m")
+      })
+      it("should reply the parse error to the client", () => {
+        return new Promise(fulfill => {
+          const client = sinusbot.createClient()
+          client.chatMock = jest.fn()
+          testCmd.addArgument((/** @type {object} */ args) => args.duration.setName("time").max("1h"))
+          sinusbot.event.chat({ text: "!test 2h", client: client.buildModule() })
+          setTimeout(() => {
+            expect(mockFn).toBeCalledTimes(0)
+            expect(client.chatMock.mock.calls[0][0]).toContain("Duration too long! Expected at most 1h, but got 2h")
+            fulfill()
+          })
+        })
+      })
+      it("should display the limits in the manual", () => {
+        expect(exported.createArgument("duration").setName("time").min("30s").max("1d").getManual()).toBe("<time (min 30s, max 1d)>")
+        expect(exported.createArgument("duration").setName("time").optional(300000).getManual()).toBe("[time=5m]")
+      })
+    })
+
+    describe("StringArgument", () => {
+
+      it("should test the basic assignment of a string", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar"))
+          sinusbot.event.chat({ text: "!test Foo" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "Foo" })
+            fulfill()
+          })
+        })
+      })
+      it("should test the forceUpperCase method", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar").forceUpperCase())
+          sinusbot.event.chat({ text: "!test Foo" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "FOO" })
+            fulfill()
+          })
+        })
+      })
+      it("should test the forceLowerCase method", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar").forceLowerCase())
+          sinusbot.event.chat({ text: "!test Foo" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "foo" })
+            fulfill()
+          })
+        })
+      })
+      it("should test the forceLowerCase method", () => {
+        return new Promise(fulfill => {
+          
+          testCmd.addArgument((/** @type {object} */  args) => args.string.setName("bar").forceLowerCase())
+          sinusbot.event.chat({ text: "!test Foo" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "foo" })
+            fulfill()
+          })
+        })
+      })
+      it("should test the match regex", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar").match(/^fOo$/))
+          sinusbot.event.chat({ text: "!test fOo" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "fOo" })
+            mockFn.mockClear()
+            sinusbot.event.chat({ text: "!test foo" })
+            expect(mockFn).toBeCalledTimes(0)
+            fulfill()
+          })
+        })
+      })
+      it("should test the max length", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar").max(3))
+          sinusbot.event.chat({ text: "!test foo" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "foo" })
+            mockFn.mockClear()
+            sinusbot.event.chat({ text: "!test fooo" })
+            expect(mockFn).toBeCalledTimes(0)
+            fulfill()
+          })
+        })
+      })
+      it("should test the min length", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar").min(3))
+          sinusbot.event.chat({ text: "!test foo" })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "foo" })
+            mockFn.mockClear()
+            sinusbot.event.chat({ text: "!test fo" })
+            expect(mockFn).toBeCalledTimes(0)
+            fulfill()
+          })
+        })
+      })
+      it("should test a double quoted string", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar"))
+          testCmd.addArgument((/** @type {object} */ args) => args.rest.setName("baz"))
+          sinusbot.event.chat({ text: `!test "Foo Bar" rest text` })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "Foo Bar", baz: "rest text" })
+            fulfill()
+          })
+        })
+      })
+      it("should test a single quoted string with escaped quotes", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar"))
+          sinusbot.event.chat({ text: `!test 'Foo \\'Bar\\''` })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "Foo 'Bar'" })
+            fulfill()
+          })
+        })
+      })
+      it("should test an escaped whitespace", () => {
+        return new Promise(fulfill => {
+          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar"))
+          sinusbot.event.chat({ text: `!test Foo\\ Bar` })
+          process.nextTick(() => {
+            expect(mockFn).toBeCalledTimes(1)
+            expect(mockFn.mock.calls[0][1]).toEqual({ bar: "Foo Bar" })
+            fulfill()
+          })
+        })
+      })
+      it("should test an unterminated quote", () => {
+        return new Promise(fulfill => {
+          const client = sinusbot.createClient()
+          client.chatMock = jest.fn()
+          testCmd.addArgument((/** @type {object} */ args) => args.string.setName("bar").optional())
+          sinusbot.event.chat({ text: `!test "Foo Bar`, client: client.buildModule() })
+          process.nextTick(() => {
             expect(mockFn).toBeCalledTimes(0)
+            expect(client.chatMock).toBeCalledTimes(1)
+            expect(client.chatMock.mock.calls[0][0]).toContain("Unterminated quote")
             fulfill()
           })
         })